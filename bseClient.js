@@ -0,0 +1,33 @@
+// =============================================================================
+// BSE HTTP Client
+// Requests to BSE's JSON API, sent through the nseClient.js pipeline so they
+// share its limiter, response cache, cassettes and retry policy
+// =============================================================================
+
+import { CookieJar } from "tough-cookie";
+import { DEFAULT_RETRY_POLICY, fetchNSE } from "./nseClient.js";
+
+// BSE only answers requests that look like they come from its own site
+const BSE_HEADERS = {
+  "Referer": "https://www.bseindia.com/",
+  "Origin": "https://www.bseindia.com",
+  "sec-fetch-site": "same-site"
+};
+
+// BSE needs no session cookies, so a 401/403 or an HTML page is not cured by
+// re-warming the NSE session; only transient failures are retried
+const BSE_RETRY_ON = DEFAULT_RETRY_POLICY.retryOn.filter(kind => kind !== "session" && kind !== "html");
+
+// Cookies BSE sets stay in their own jar, out of the NSE session and its session file
+const jar = new CookieJar();
+
+// =============================================================================
+// Public Functions
+// =============================================================================
+
+// Fetch data from a BSE API endpoint
+// Takes the same options as fetchNSE (cache, retry, headers)
+export function fetchBSE(url, options = {}) {
+  const retry = options.retry === false ? false : { retryOn: BSE_RETRY_ON, ...options.retry };
+  return fetchNSE(url, { ...options, retry, jar, headers: { ...BSE_HEADERS, ...options.headers } });
+}
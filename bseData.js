@@ -0,0 +1,274 @@
+// =============================================================================
+// BSE Data Fetchers and Normalizers
+// Fetches quote, corporate actions and announcements from BSE and converts
+// them to the same shapes the nseData.js normalizers return
+// =============================================================================
+
+import { fetchBSE } from "./bseClient.js";
+import {
+  normalizeAnnouncements,
+  normalizeAnnouncementsHeadline,
+  normalizeCorporateActions,
+  normalizeCorporateActionsLatest,
+  normalizeQuoteMetrics
+} from "./nseData.js";
+
+const BASE_URL = "https://api.bseindia.com/BseIndiaAPI/api";
+const ATTACHMENT_URL = "https://www.bseindia.com/xml-data/corpfiling/AttachLive";
+
+// BSE's announcements endpoint always needs a date range; this is the default
+const DEFAULT_ANNOUNCEMENT_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scrip code lookups by NSE symbol, shared by parallel callers
+const bseCodes = new Map();
+
+// =============================================================================
+// API Fetchers
+// =============================================================================
+
+// Every fetcher takes a BSE scrip code (e.g. "500180") and an options object
+// that is passed through to fetchBSE
+
+// Get a quote: price header, company details (P/E, market cap, sector) and 52-week range
+// Returns { header, company, highLow }; company and highLow are null when BSE withholds them
+export async function fetchBseQuote(code, options = {}) {
+  const scrip = encode(code);
+  const [header, company, highLow] = await Promise.allSettled([
+    fetchBSE(`${BASE_URL}/getScripHeaderData/w?Debtflag=&scripcode=${scrip}&seriesid=`, options),
+    fetchBSE(`${BASE_URL}/ComHeadernew/w?quotetype=EQ&scripcode=${scrip}&seriesid=`, options),
+    fetchBSE(`${BASE_URL}/HighLow/w?Type=EQ&flag=C&scripcode=${scrip}`, options)
+  ]);
+
+  if (header.status === "rejected") throw header.reason;
+  return {
+    header: header.value,
+    company: company.status === "fulfilled" ? company.value : null,
+    highLow: highLow.status === "fulfilled" ? highLow.value : null
+  };
+}
+
+// Get corporate actions (dividend, bonus, split), newest first
+export async function fetchBseCorporateActions(code, options = {}) {
+  return fetchBSE(
+    `${BASE_URL}/DefaultData/w?Fdate=&Purposecode=&TDate=&ddlcategorys=E&ddlindustrys=&scripcode=${encode(code)}&segment=0&strSearch=S`,
+    options
+  );
+}
+
+// Get company announcements (first page of results)
+// options.from / options.to (Date or "YYYY-MM-DD"); defaults to the last 90 days
+export async function fetchBseAnnouncements(code, options = {}) {
+  const to = options.to ? toDate(options.to) : new Date();
+  const from = options.from ? toDate(options.from) : new Date(to.getTime() - DEFAULT_ANNOUNCEMENT_DAYS * DAY_MS);
+  const range = `strPrevDate=${toBseDate(from)}&strToDate=${toBseDate(to)}`;
+  return fetchBSE(
+    `${BASE_URL}/AnnSubCategoryGetData/w?pageno=1&strCat=-1&${range}&strScrip=${encode(code)}&strSearch=P&strType=C&subcategory=-1`,
+    options
+  );
+}
+
+// Get BSE's list of active equity scrips (scrip code, trading symbol, ISIN)
+export async function fetchBseScripList(options = {}) {
+  return fetchBSE(`${BASE_URL}/ListofScripData/w?Group=&Scripcode=&industry=&segment=Equity&status=Active`, options);
+}
+
+// BSE scrip code for an NSE symbol
+// options.bseCode is taken as-is (e.g. from "BSE: 500180" on a Screener page); otherwise
+// BSE's scrip list is searched by trading symbol, then by options.isin
+// Throws (status NOT_LISTED) when BSE does not list the company
+export async function resolveBseCode(symbol, options = {}) {
+  if (options.bseCode) return String(options.bseCode);
+
+  const symbolKey = String(symbol).trim().toUpperCase();
+  // Keyed with the ISIN too, so a symbol not found on its own can be retried by ISIN
+  const key = options.isin ? `${symbolKey} ${options.isin}` : symbolKey;
+  if (!bseCodes.has(key)) {
+    // A failed fetch is forgotten so the next call tries BSE again; "not listed" is kept
+    const lookup = fetchBseScripList(options)
+      .then(list => findBseCode(list, symbolKey, options.isin))
+      .catch(err => {
+        if (err.status !== "NOT_LISTED") bseCodes.delete(key);
+        throw err;
+      });
+    bseCodes.set(key, lookup);
+  }
+  return bseCodes.get(key);
+}
+
+// =============================================================================
+// Data Normalizers - Same output as the matching nseData.js normalizer
+// =============================================================================
+
+// fetchBseQuote response -> normalizeQuoteMetrics shape
+// BSE has no sector P/E, so sectorPE and pePremiumPct stay null
+export function normalizeBseQuote(resp) {
+  return normalizeQuoteMetrics(toNseQuote(resp));
+}
+
+// -> normalizeCorporateActions shape (typed events, newest first)
+export function normalizeBseCorporateActions(resp) {
+  return normalizeCorporateActions(toNseCorporateActions(resp));
+}
+
+// -> normalizeCorporateActionsLatest shape (an NSE-style corporate action item)
+export function normalizeBseCorporateActionsLatest(resp) {
+  return normalizeCorporateActionsLatest(toNseCorporateActions(resp));
+}
+
+// -> normalizeAnnouncements shape
+export function normalizeBseAnnouncements(resp) {
+  return normalizeAnnouncements(toNseAnnouncements(resp));
+}
+
+// -> normalizeAnnouncementsHeadline (latest announcement's category)
+export function normalizeBseAnnouncementsHeadline(resp) {
+  return normalizeAnnouncementsHeadline(toNseAnnouncements(resp));
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+function encode(str) {
+  return encodeURIComponent(str);
+}
+
+// Return first non-null value
+function pick(...values) {
+  for (const v of values) {
+    if (v !== undefined && v !== null) return v;
+  }
+  return null;
+}
+
+// Convert value to number (handles strings with commas/%; BSE uses "-" for none)
+function num(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+
+  const cleaned = String(value).replace(/[,% ]/g, "");
+  if (!cleaned || cleaned === "-") return null;
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Convert to array if it's an array, else null
+function toArray(val) {
+  return Array.isArray(val) ? val : null;
+}
+
+// Collapse whitespace; null for empty strings and BSE's "-" placeholder
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, " ").trim();
+  return text && text !== "-" ? text : null;
+}
+
+// Accept Date or "YYYY-MM-DD" (a day or month out of range is rejected, not rolled over)
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+  if (!date || date.getUTCDate() !== +m[3] || date.getUTCMonth() !== +m[2] - 1) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+// "YYYYMMDD" as BSE's announcement search expects
+function toBseDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+// Scrip code from the scrip list, matched on trading symbol, then ISIN
+function findBseCode(resp, symbol, isin) {
+  const list = toArray(resp?.Table) || toArray(resp) || [];
+  const row =
+    list.find(r => String(pick(r?.scrip_id, r?.SCRIP_ID) ?? "").trim().toUpperCase() === symbol) ??
+    (isin ? list.find(r => pick(r?.ISIN_NUMBER, r?.isin_number) === isin) : null);
+
+  const code = pick(row?.SCRIP_CD, row?.scrip_cd);
+  if (code === null) {
+    const reason = `${symbol} is not in BSE's scrip list`;
+    const error = new Error(`Request failed | status=NOT_LISTED | reason=${reason}`);
+    error.status = "NOT_LISTED";
+    error.url = null;
+    error.reason = reason;
+    error.attempts = [];
+    throw error;
+  }
+  return String(code);
+}
+
+// Re-shape a BSE quote like a quote-equity response
+// BSE classifies in four levels too: Sector > IndustryNew > IGroup > ISubGroup
+function toNseQuote(resp) {
+  const header = resp?.header?.Header ?? {};
+  const rate = resp?.header?.CurrRate ?? {};
+  const company = resp?.company ?? {};
+  const highLow = resp?.highLow ?? {};
+  const marketCapCr = num(pick(company.MktCapFull, company.MktCap));
+
+  return {
+    priceInfo: {
+      lastPrice: num(pick(rate.LTP, header.LTP)),
+      change: num(rate.Chg),
+      pChange: num(rate.PcChg),
+      intraDayHighLow: { max: num(header.High), min: num(header.Low) },
+      weekHighLow: {
+        max: num(pick(highLow.Fifty2WkHigh_adj, highLow.Fifty2WkHigh_unadj)),
+        min: num(pick(highLow.Fifty2WkLow_adj, highLow.Fifty2WkLow_unadj))
+      }
+    },
+    metadata: { pdSymbolPe: num(company.PE) },
+    securityInfo: {
+      faceValue: num(company.FaceVal),
+      // BSE quotes market cap in Rs crore
+      marketCap: marketCapCr === null ? null : marketCapCr * 1e7
+    },
+    industryInfo: {
+      macro: cleanText(company.Sector),
+      sector: cleanText(company.IndustryNew),
+      industry: cleanText(pick(company.IGroup, company.Industry)),
+      basicIndustry: cleanText(company.ISubGroup)
+    }
+  };
+}
+
+// Re-shape BSE corporate actions like a corporates-corporateActions response
+// BSE writes amounts as "Rs. - 22.0000", which the NSE subject parser would miss
+function toNseCorporateActions(resp) {
+  const list = toArray(resp?.Table) || toArray(resp) || [];
+
+  return {
+    data: list.map(r => ({
+      symbol: cleanText(r?.short_name),
+      comp: cleanText(r?.long_name),
+      subject: cleanText(String(r?.Purpose ?? "").replace(/\bR[se]\.?\s*-\s*/gi, "Rs ")),
+      exDate: cleanText(r?.Ex_date),
+      recDate: cleanText(pick(r?.RD_Date, r?.BCRD_FROM)),
+      series: null,
+      faceVal: null,
+      isin: null
+    }))
+  };
+}
+
+// Re-shape BSE announcements like a corporate-announcements response
+// BSE times ("2025-10-17T19:45:12.9") are IST, as NSE's are
+function toNseAnnouncements(resp) {
+  const list = toArray(resp?.Table) || toArray(resp) || [];
+
+  return {
+    data: list.map(r => ({
+      seq_id: r?.NEWSID ?? null,
+      an_dt: pick(r?.NEWS_DT, r?.DT_TM, r?.DissemDT),
+      desc: pick(cleanText(r?.SUBCATNAME), cleanText(r?.CATEGORYNAME), cleanText(r?.NEWSSUB)),
+      attchmntText: pick(cleanText(r?.HEADLINE), cleanText(r?.NEWSSUB)),
+      attchmntFile: cleanText(r?.ATTACHMENTNAME) ? `${ATTACHMENT_URL}/${cleanText(r.ATTACHMENTNAME)}` : null,
+      symbol: r?.SCRIP_CD == null ? null : String(r.SCRIP_CD),
+      sm_name: cleanText(r?.SLONGNAME)
+    }))
+  };
+}
@@ -0,0 +1,212 @@
+// =============================================================================
+// NSE Fixture Checker
+// Runs every normalizer against recorded cassettes so NSE schema changes
+// show up as failures instead of silent nulls
+// Usage: node checkFixtures.js [cassette-dir]
+// =============================================================================
+
+import { existsSync, readdirSync, readFileSync } from "fs";
+import { join } from "path";
+import {
+  normalizeAnnouncements,
+  normalizeAnnouncementsHeadline,
+  normalizeCorporateActionsLatest,
+  normalizeHistorical,
+  normalizeIndexConstituents,
+  normalizeIndexQuote,
+  normalizeOptionChain,
+  normalizeQuoteMetrics,
+  normalizeShareholding,
+  normalizeSymbolSearch,
+  normalizeTradeInfoMetrics
+} from "./nseData.js";
+import {
+  normalizeBseAnnouncements,
+  normalizeBseCorporateActionsLatest,
+  normalizeBseQuote
+} from "./bseData.js";
+import { printKV, printSection } from "./src/format.js";
+
+const CASSETTE_DIR = process.argv[2] || "fixtures/cassettes";
+
+// =============================================================================
+// Checks - one per endpoint, matched against the cassette URL (first match wins)
+// required: fields that must come out non-null from a recorded payload
+// =============================================================================
+
+const CHECKS = [
+  {
+    name: "trade_info",
+    match: /\/quote-equity\?.*section=trade_info/,
+    normalize: normalizeTradeInfoMetrics,
+    required: ["volume", "deliverablePct"]
+  },
+  {
+    name: "quote-equity",
+    match: /\/quote-equity\?/,
+    normalize: normalizeQuoteMetrics,
+    required: ["cmp", "dayHigh", "dayLow", "week52High", "week52Low", "marketCap", "peStandalone", "faceValue"]
+  },
+  {
+    name: "historical",
+    match: /\/historical(OR)?\//,
+    normalize: resp => normalizeHistorical(resp).at(-1) ?? {},
+    required: ["date", "open", "high", "low", "close", "volume", "deliveryQty", "deliveryPct"],
+    skipIf: resp => isEmptyList(resp)
+  },
+  {
+    name: "allIndices",
+    match: /\/allIndices/,
+    normalize: resp => normalizeIndexQuote(resp, "NIFTY 50") ?? {},
+    required: ["last", "change", "changePct", "advances", "declines", "pe", "pb"]
+  },
+  {
+    name: "index-constituents",
+    match: /\/equity-stockIndices\?/,
+    normalize: resp => normalizeIndexConstituents(resp)[0] ?? {},
+    required: ["symbol", "cmp", "dayChange", "dayChangePct"]
+  },
+  {
+    name: "corporate-actions",
+    match: /\/corporates-corporateActions\?/,
+    normalize: resp => normalizeCorporateActionsLatest(resp) ?? {},
+    required: ["subject", "exDate"],
+    // A symbol with no corporate actions is not a schema change
+    skipIf: resp => isEmptyList(resp)
+  },
+  {
+    name: "shareholding",
+    match: /\/(corporate-share-holdings(-master)?|shareholding-pattern)\?/,
+    normalize: resp => normalizeShareholding(resp).latest ?? {},
+    required: ["quarter", "promoter", "public"],
+    skipIf: resp => isEmptyList(resp)
+  },
+  {
+    name: "announcements",
+    match: /\/corporate-announcements\?/,
+    normalize: resp => ({ headline: normalizeAnnouncementsHeadline(resp), ...normalizeAnnouncements(resp)[0] }),
+    required: ["headline", "date", "category", "description"],
+    skipIf: resp => isEmptyList(resp)
+  },
+  {
+    name: "symbol-search",
+    match: /\/search\/autocomplete\?/,
+    normalize: resp => normalizeSymbolSearch(resp)[0] ?? {},
+    required: ["symbol", "name"],
+    skipIf: resp => isEmptyList(resp?.symbols)
+  },
+  {
+    name: "option-chain",
+    match: /\/option-chain-(equities|indices)\?/,
+    normalize: resp => {
+      const chain = normalizeOptionChain(resp);
+      const row = chain.rows.find(r => r.ce && r.pe) ?? {};
+      return { underlyingValue: chain.underlyingValue, expiry: row.expiry, strike: row.strike, oi: row.ce?.oi, ltp: row.ce?.ltp };
+    },
+    required: ["underlyingValue", "expiry", "strike", "oi", "ltp"],
+    // Outside market hours NSE can return the chain with no strikes
+    skipIf: resp => isEmptyList(resp?.records)
+  },
+
+  // BSE fallback (bseData.js); a BSE quote combines three responses, the price header is checked
+  {
+    name: "bse-quote",
+    match: /\/getScripHeaderData\/w\?/,
+    normalize: resp => normalizeBseQuote({ header: resp }),
+    required: ["cmp", "dayHigh", "dayLow", "dayChange", "dayChangePct"]
+  },
+  {
+    name: "bse-corporate-actions",
+    match: /\/DefaultData\/w\?/,
+    normalize: resp => normalizeBseCorporateActionsLatest(resp) ?? {},
+    required: ["subject", "exDate"],
+    skipIf: resp => isEmptyList(resp)
+  },
+  {
+    name: "bse-announcements",
+    match: /\/AnnSubCategoryGetData\/w\?/,
+    normalize: resp => normalizeBseAnnouncements(resp)[0] ?? {},
+    required: ["date", "category", "description"],
+    skipIf: resp => isEmptyList(resp?.Table)
+  }
+];
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  if (!existsSync(CASSETTE_DIR)) {
+    console.error(`No cassette directory: ${CASSETTE_DIR}`);
+    console.error("Record one with: node index.js HDFCBANK --record");
+    process.exit(1);
+  }
+
+  const files = readdirSync(CASSETTE_DIR).filter(f => f.endsWith(".json")).sort();
+  if (files.length === 0) {
+    console.error(`No cassettes in ${CASSETTE_DIR}`);
+    console.error("Record some with: node index.js HDFCBANK --record");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const result = checkCassette(join(CASSETTE_DIR, file));
+    printSection(file);
+    printKV("Result", result.status);
+    for (const note of result.notes) printKV("Detail", note);
+    if (result.status === "FAIL") failed++;
+  }
+
+  printSection("Summary");
+  printKV("Cassettes", files.length);
+  printKV("Failed", failed);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+// Run the matching normalizer against one cassette
+function checkCassette(path) {
+  let entry;
+  try {
+    entry = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return { status: "FAIL", notes: [`Unreadable cassette: ${err.message}`] };
+  }
+
+  const url = entry?.request?.url ?? "";
+  const response = entry?.response ?? {};
+  const check = CHECKS.find(c => c.match.test(url));
+
+  if (!check) return { status: "SKIP", notes: [`No normalizer for ${url}`] };
+  if (response.status >= 400) return { status: "SKIP", notes: [`Recorded error ${response.status}`] };
+  if (check.skipIf?.(response.data)) return { status: "SKIP", notes: ["Empty payload"] };
+
+  let normalized;
+  try {
+    normalized = check.normalize(response.data);
+  } catch (err) {
+    return { status: "FAIL", notes: [`${check.name} normalizer threw: ${err.message}`] };
+  }
+
+  const missing = check.required.filter(field => normalized?.[field] == null);
+  if (missing.length) {
+    return { status: "FAIL", notes: [`${check.name}: null ${missing.join(", ")}`] };
+  }
+  return { status: "PASS", notes: [check.name] };
+}
+
+// True for an empty list payload ({ data: [] } or [])
+function isEmptyList(resp) {
+  const list = Array.isArray(resp?.data) ? resp.data : Array.isArray(resp) ? resp : null;
+  return list !== null && list.length === 0;
+}
+
+// =============================================================================
+// Run
+// =============================================================================
+
+main();
@@ -0,0 +1,87 @@
+// =============================================================================
+// NSE End-of-Day Importer
+// Loads downloaded bhavcopy and security-wise delivery files into the local
+// EOD store read by `node index.js <SYMBOL> --eod`
+// Usage: node importEod.js <file|dir>... [--dir <store-dir>]
+// Accepts BhavCopy_NSE_CM_*.csv(.zip), cmDDMMMYYYYbhav.csv(.zip),
+// sec_bhavdata_full_*.csv and MTO_*.DAT, as downloaded from nseindia.com
+// =============================================================================
+
+import { readdirSync, statSync } from "fs";
+import { join } from "path";
+import { EOD_DIR, importEodFile, listEodDates } from "./nseEod.js";
+import { printKV, printSection } from "./src/format.js";
+
+const dirIndex = process.argv.indexOf("--dir");
+const STORE_DIR = dirIndex === -1 ? EOD_DIR : process.argv[dirIndex + 1];
+const PATHS = process.argv.slice(2).filter((arg, i) => !arg.startsWith("--") && i + 2 !== dirIndex + 1);
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+  if (PATHS.length === 0 || !STORE_DIR) {
+    console.error("Usage: node importEod.js <file|dir>... [--dir <store-dir>]");
+    console.error("");
+    console.error("Files: daily bhavcopy (BhavCopy_NSE_CM_*.csv or the older cm*bhav.csv, zipped or not),");
+    console.error("       sec_bhavdata_full_*.csv (with delivery) and MTO_*.DAT (delivery only)");
+    console.error(`Store: ${EOD_DIR} (set NSE_EOD_DIR or --dir to change)`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const path of PATHS.flatMap(listFiles)) {
+    let imported;
+    try {
+      imported = importEodFile(path, { dir: STORE_DIR });
+    } catch (err) {
+      printSection(path);
+      printKV("Result", "FAIL");
+      printKV("Detail", err.code === "ENOENT" ? "File not found" : err.message);
+      failed++;
+      continue;
+    }
+
+    for (const { file, kind, date, symbols } of imported) {
+      printSection(file);
+      printKV("Result", "OK");
+      printKV("Format", kind);
+      printKV("Date", date);
+      printKV("Symbols", symbols);
+    }
+  }
+
+  const dates = listEodDates(STORE_DIR);
+  printSection("Summary");
+  printKV("Store", STORE_DIR);
+  printKV("Dates stored", dates.length ? `${dates.length} (${dates[0]} to ${dates.at(-1)})` : 0);
+  printKV("Failed", failed);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+// A file as-is; a directory as the files directly in it, in name order
+// (missing paths are passed through so they are reported as failures)
+function listFiles(path) {
+  let stat;
+  try {
+    stat = statSync(path);
+  } catch {
+    return [path];
+  }
+  if (!stat.isDirectory()) return [path];
+  return readdirSync(path)
+    .sort()
+    .map(name => join(path, name))
+    .filter(file => statSync(file).isFile());
+}
+
+// =============================================================================
+// Run
+// =============================================================================
+
+main();
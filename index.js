@@ -1,196 +1,1317 @@
 // =============================================================================
 // NSE Stock Data CLI
 // Fetches and displays stock data from NSE India
-// Usage: node index.js <SYMBOL> [--raw]
+// Usage: node index.js <SYMBOL> [--raw] [--offline] [--record [dir] | --replay [dir]]
+//        node index.js <SYMBOL> --format text|json|ndjson|csv  (--json = --format json)
+//        node index.js <SYMBOL> --actions [years]
+//        node index.js <SYMBOL> --announcements [--from D] [--to D] [--category C] [--keyword K] [--download [dir]]
+//        node index.js <SYMBOL> <SYMBOL>... | --file <symbols.txt>
+//        node index.js <SYMBOL> --screener <screener-input.txt>
+//        node index.js <SYMBOL> --options [expiry]
+//        node index.js <SYMBOL>... --eod [days]  (from bhavcopies imported with importEod.js)
+//        node index.js <SYMBOL>... --watch [interval]
+//        node index.js search <company name or partial symbol>
+//        node index.js --index "<INDEX NAME>"
+// Quote, corporate actions and announcements fall back to BSE when NSE fails
 // =============================================================================
 
+import { readFileSync } from "fs";
 import {
+  SHAREHOLDING_CATEGORIES,
+  downloadAnnouncementAttachments,
+  fetchAllIndices,
   fetchAnnouncements,
   fetchCorporateActions,
+  fetchHistorical,
+  fetchIndexConstituents,
+  fetchOptionChain,
   fetchQuoteEquity,
   fetchQuoteEquitySection,
   fetchShareholdingBestEffort,
+  filterAnnouncements,
+  getMarketSession,
+  getWeek52Position,
+  normalizeAnnouncements,
   normalizeAnnouncementsHeadline,
+  normalizeCorporateActions,
   normalizeCorporateActionsLatest,
+  normalizeHistorical,
+  normalizeIndexConstituents,
+  normalizeIndexQuote,
+  normalizeOptionChain,
   normalizeQuoteMetrics,
-  normalizeTradeInfoMetrics
+  normalizeShareholding,
+  normalizeTradeInfoMetrics,
+  summarizeDividends,
+  summarizeHistorical,
+  summarizeOptionChain
 } from "./nseData.js";
-import { initNSE } from "./nseClient.js";
-import { printApiError, printKV, printSection } from "./src/format.js";
+import {
+  fetchBseAnnouncements,
+  fetchBseCorporateActions,
+  fetchBseQuote,
+  normalizeBseAnnouncements,
+  normalizeBseAnnouncementsHeadline,
+  normalizeBseCorporateActions,
+  normalizeBseCorporateActionsLatest,
+  normalizeBseQuote,
+  resolveBseCode
+} from "./bseData.js";
+import { configureCache, configureCassettes, getCacheInfo, initNSE } from "./nseClient.js";
+import {
+  OUTPUT_FORMATS,
+  addError,
+  addFieldsSection,
+  addRaw,
+  addRowsSection,
+  createReport,
+  printReport
+} from "./src/format.js";
+import { parseScreenerText } from "./src/screenerParser.js";
+import { buildStockProfile } from "./src/stockProfile.js";
+import { loadEquityMaster, resolveSymbol, searchSymbols } from "./nseSearch.js";
+import { EOD_DIR, getEodChangePct, listEodDates, loadEodHistory, summarizeEod } from "./nseEod.js";
 
 // =============================================================================
 // Parse Arguments
 // =============================================================================
 
-const SYMBOL = process.argv[2];
+// argv positions taken as flag values, so they are not mistaken for symbols
+const consumedArgs = new Set();
+
 const RAW = process.argv.includes("--raw");
+const OFFLINE = process.argv.includes("--offline");
+const RECORD_DIR = getFlagValue("--record", "fixtures/cassettes");
+const REPLAY_DIR = getFlagValue("--replay", "fixtures/cassettes");
+const ACTIONS_YEARS = Number(getFlagValue("--actions", "5", /^\d+$/)) || null;
+const ANNOUNCEMENTS = process.argv.includes("--announcements");
+const OPTIONS = process.argv.includes("--options");
+const OPTIONS_EXPIRY = getFlagValue("--options", null, /^\d/);
+const EOD_DAYS = Number(getFlagValue("--eod", "20", /^\d+$/)) || null;
+const WATCH_SECONDS = toSeconds(getFlagValue("--watch", "60", /^\d+[sm]?$/));
+const ANNOUNCEMENT_FILTERS = {
+  from: getFlagValue("--from", null),
+  to: getFlagValue("--to", null),
+  category: getFlagValue("--category", null),
+  keyword: getFlagValue("--keyword", null)
+};
+const INDEX_NAME = getFlagValue("--index", "NIFTY 50");
+const SYMBOLS_FILE = getFlagValue("--file", null);
+const SCREENER_FILE = getFlagValue("--screener", null);
+const DOWNLOAD_DIR_ARG = getFlagValue("--download", null);
+const BSE_CODE = getFlagValue("--bse", null, /^\d+$/);
+const FORMAT_ARG = getFlagValue("--format", "text");
+const OUTPUT_FORMAT = process.argv.includes("--json") ? "json" : FORMAT_ARG ?? "text";
+
+const POSITIONAL_ARGS = getPositionalArgs();
+const SEARCH_COMMAND = POSITIONAL_ARGS[0]?.toLowerCase() === "search";
+const SEARCH_QUERY = SEARCH_COMMAND ? POSITIONAL_ARGS.slice(1).join(" ") || null : null;
 
-if (!SYMBOL) {
-  console.error("Usage: node index.js <SYMBOL> [--raw]");
+// As typed; company names ("HDFC Bank") are replaced by their symbols in main()
+// ("search" with no query leaves none, so usage is printed)
+const SYMBOLS = SEARCH_COMMAND ? [] : [...POSITIONAL_ARGS, ...readSymbolsFile(SYMBOLS_FILE)];
+let SYMBOL = SYMBOLS[0] ?? null;
+const BATCH = SYMBOLS.length > 1 || Boolean(SYMBOLS_FILE);
+
+// Views that can be served from BSE when NSE fails
+const BSE_FALLBACK = !INDEX_NAME && !SEARCH_QUERY && !EOD_DAYS &&
+  (BATCH || Boolean(ACTIONS_YEARS) || ANNOUNCEMENTS || (!OPTIONS && !SCREENER_FILE));
+
+if (!SYMBOL && !INDEX_NAME && !SEARCH_QUERY) {
+  console.error("Usage: node index.js <SYMBOL> [--raw] [--offline] [--record [dir] | --replay [dir]]");
+  console.error("       node index.js <SYMBOL> --actions [years]");
+  console.error("       node index.js <SYMBOL> --announcements [--from YYYY-MM-DD] [--to YYYY-MM-DD]");
+  console.error("                              [--category C] [--keyword K] [--download [dir]]");
+  console.error("       node index.js <SYMBOL> <SYMBOL>... | --file symbols.txt");
+  console.error("       node index.js <SYMBOL> --screener screener-input.txt");
+  console.error("       node index.js <SYMBOL> --options [expiry]");
+  console.error("       node index.js <SYMBOL>... --eod [days]");
+  console.error("       node index.js <SYMBOL>... --watch [interval]");
+  console.error("       node index.js --index \"NIFTY BANK\"");
+  console.error("       node index.js search \"hdfc bank\"");
+  console.error("");
+  console.error("Options:");
+  console.error("  --format <fmt>     Output as text (default), json, ndjson or csv; --json is short for --format json");
+  console.error("  --actions [years]  Corporate actions of the last N years (default 5) with dividend yield");
+  console.error("  --announcements    Announcements list; --category is one of board-meeting, results,");
+  console.error("                     outcome, insider-trading, credit-rating (or any text)");
+  console.error("  --index [name]     Index summary and constituents (default NIFTY 50)");
+  console.error("  --options [expiry] Option chain around ATM with PCR, max pain, OI support/resistance and ATM IV");
+  console.error("                     (nearest expiry by default; NIFTY, BANKNIFTY, FINNIFTY... for indices)");
+  console.error("  --eod [days]       Volume and delivery of the last N sessions (default 20) from the local EOD store");
+  console.error("                     (no NSE requests; import bhavcopies with: node importEod.js <file>)");
+  console.error("  --watch [interval] Re-fetch every interval (60s default; e.g. 30s, 5m) during market hours and print");
+  console.error("                     only changes in price, change %, volume and delivery %, and new filings");
+  console.error("  --screener <path>  One profile merging NSE data with a Screener.in paste, with sources and conflicts");
+  console.error("  --bse <code>       BSE scrip code for the fallback (looked up from the symbol otherwise)");
+  console.error("  --file <path>      Compare the symbols listed in a file (one per line or comma separated)");
+  console.error("  --offline          Serve only from the local cache (no NSE requests)");
+  console.error("  --record [dir]     Save every NSE response as a cassette (default fixtures/cassettes)");
+  console.error("  --replay [dir]     Serve NSE responses from recorded cassettes only");
+  console.error("");
+  console.error("A company name in quotes works in place of a symbol: node index.js \"HDFC Bank\"");
+  console.error("Quote, corporate actions and announcements come from BSE when NSE fails.");
+  console.error("");
   console.error("Example: node index.js HDFCBANK");
   process.exit(1);
 }
 
+// Shortest --watch interval accepted; every tick costs a few NSE requests per symbol
+const MIN_WATCH_SECONDS = 15;
+
+if (WATCH_SECONDS !== null && WATCH_SECONDS < MIN_WATCH_SECONDS) {
+  console.error(`--watch interval must be at least ${MIN_WATCH_SECONDS}s`);
+  process.exit(1);
+}
+
+if (!OUTPUT_FORMATS.includes(OUTPUT_FORMAT)) {
+  console.error(`Unknown --format: ${OUTPUT_FORMAT} (expected ${OUTPUT_FORMATS.join(", ")})`);
+  process.exit(1);
+}
+
+for (const name of ["from", "to"]) {
+  const value = ANNOUNCEMENT_FILTERS[name];
+  if (value && !isIsoDate(value)) {
+    console.error(`Invalid --${name} date: ${value} (use YYYY-MM-DD)`);
+    process.exit(1);
+  }
+}
+
+if (OFFLINE) configureCache({ offline: true });
+if (RECORD_DIR) configureCassettes({ mode: "record", dir: RECORD_DIR });
+if (REPLAY_DIR) configureCassettes({ mode: "replay", dir: REPLAY_DIR });
+
+// Value following a flag, the fallback if the flag has none, or null if absent
+// pattern (optional) limits what counts as the flag's value
+function getFlagValue(flag, fallback, pattern = null) {
+  const i = process.argv.indexOf(flag);
+  if (i === -1) return null;
+  const next = process.argv[i + 1];
+  if (!next || next.startsWith("--") || (pattern && !pattern.test(next))) return fallback;
+  consumedArgs.add(i + 1);
+  return next;
+}
+
+// "30s", "5m" or "90" (seconds) -> seconds, or null if absent
+function toSeconds(interval) {
+  if (!interval) return null;
+  const value = Number.parseInt(interval, 10);
+  return interval.endsWith("m") ? value * 60 : value;
+}
+
+// "YYYY-MM-DD" naming a real day (rejects "2025-02-30" and "2025-13-01")
+function isIsoDate(value) {
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+  return Boolean(date) && date.getUTCDate() === +m[3] && date.getUTCMonth() === +m[2] - 1;
+}
+
+// Arguments that are neither flags nor flag values (the symbols)
+function getPositionalArgs() {
+  return process.argv
+    .slice(2)
+    .filter((arg, i) => !arg.startsWith("--") && !consumedArgs.has(i + 2));
+}
+
+// Symbols listed in a file: one per line or comma separated, "#" starts a comment
+function readSymbolsFile(path) {
+  if (!path) return [];
+  try {
+    return readFileSync(path, "utf-8")
+      .split("\n")
+      .map(line => line.replace(/#.*/, ""))
+      .flatMap(line => line.split(/[,\s]+/))
+      .map(sym => sym.trim().toUpperCase())
+      .filter(Boolean);
+  } catch (err) {
+    console.error(`Error reading symbols file: ${path}`);
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
 // =============================================================================
 // Main
 // =============================================================================
 
 async function main() {
-  console.log(`Fetching data for ${SYMBOL}...\n`);
+  const target = INDEX_NAME ?? SEARCH_QUERY ?? (BATCH ? `${SYMBOLS.length} symbols` : SYMBOL);
+  if (OUTPUT_FORMAT === "text") {
+    const source = EOD_DAYS ? ` (from ${EOD_DIR})` : OFFLINE ? " (offline, from cache)" : "";
+    console.log(`Fetching data for ${target}${source}...`);
+  }
 
-  // Step 1: Warm up NSE session (gets cookies)
+  // Step 1: Warm up NSE session (gets cookies); views with a BSE fallback carry on without it,
+  // and the EOD view reads only the local store
   try {
-    await initNSE();
+    if (!EOD_DAYS) await initNSE();
   } catch (err) {
-    printApiError("initNSE", err);
+    if (!BSE_FALLBACK) {
+      const report = createReport("init", target);
+      addError(report, "initNSE", err);
+      printReport(report, OUTPUT_FORMAT);
+      process.exit(1);
+    }
+    nseInitError = err;
+  }
+
+  if (SEARCH_QUERY) {
+    printReport(await buildSearchReport(), OUTPUT_FORMAT);
+    return;
+  }
+
+  // Step 2: Turn company names into symbols, or list the candidates and stop
+  const unresolved = await resolveSymbols();
+  if (unresolved) {
+    printReport(unresolved, OUTPUT_FORMAT);
     process.exit(1);
   }
 
-  // Step 2: Fire all API calls in parallel, print as each completes
-  const tasks = [
-    fetchAndPrintQuote(),
-    fetchAndPrintTradeInfo(),
-    fetchAndPrintCorporateActions(),
-    fetchAndPrintAnnouncements(),
-    fetchAndPrintShareholding()
-  ];
+  // Step 3: Collect every result into one report, then render it in one go
+  let report;
+  if (INDEX_NAME) report = await buildIndexReport();
+  else if (EOD_DAYS) report = buildEodReport();
+  else if (WATCH_SECONDS) return watchSymbols();
+  else if (BATCH) report = await buildComparisonReport();
+  else if (ACTIONS_YEARS) report = await buildActionsReport();
+  else if (ANNOUNCEMENTS) report = await buildAnnouncementsReport();
+  else if (OPTIONS) report = await buildOptionsReport();
+  else if (SCREENER_FILE) report = await buildProfileReport();
+  else report = await buildStockReport();
 
-  await Promise.allSettled(tasks);
+  printReport(report, OUTPUT_FORMAT);
 }
 
 // =============================================================================
-// Quote Section (merged output from quote-equity + trade_info)
+// Symbol Search (search command, and company names given as symbols)
 // =============================================================================
 
-let quoteHeaderPrinted = false;
+const SEARCH_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "name", label: "Company" },
+  { key: "series", label: "Series" },
+  { key: "isin", label: "ISIN" },
+  { key: "score", label: "Match" }
+];
+
+async function buildSearchReport() {
+  const report = createReport("search", SEARCH_QUERY);
+  const { source, results, error } = await searchSymbols(SEARCH_QUERY);
+  if (error) addError(report, "search/autocomplete", error);
 
-function printQuoteField(label, value) {
-  if (!quoteHeaderPrinted) {
-    printSection("Quote");
-    quoteHeaderPrinted = true;
+  addRowsSection(report, "results", `Search: ${SEARCH_QUERY} (${results.length})`, SEARCH_COLUMNS, toSearchRows(results), {
+    note: source === "local" ? "From the local equity master (NSE search unavailable)" : null
+  });
+  return report;
+}
+
+// Replace company names in SYMBOLS with their symbols
+// Returns null when all resolved, else a report listing the candidates
+async function resolveSymbols() {
+  const report = createReport("resolve", SYMBOLS.join(","));
+
+  for (let i = 0; i < SYMBOLS.length; i++) {
+    const input = SYMBOLS[i];
+    // The EOD view works offline, so it does not download the master to check tickers
+    const { symbol, candidates, source, error } = await resolveSymbol(input, { download: !EOD_DAYS });
+    if (symbol) {
+      SYMBOLS[i] = symbol;
+      if (source !== "input" && OUTPUT_FORMAT === "text") {
+        console.log(`Resolved "${input}" to ${symbol} (${candidates[0].name ?? "?"})`);
+      }
+      continue;
+    }
+
+    if (error) addError(report, "search/autocomplete", error);
+    addRowsSection(report, `candidates${i + 1}`, `Candidates for "${input}"`, SEARCH_COLUMNS, toSearchRows(candidates), {
+      note: candidates.length ? "Several matches - run again with one of these symbols" : "No matching symbol"
+    });
   }
-  printKV(label, value);
+
+  SYMBOL = SYMBOLS[0] ?? null;
+  return report.sections.length ? report : null;
 }
 
-async function fetchAndPrintQuote() {
-  try {
-    const quote = await fetchQuoteEquity(SYMBOL);
-    
-    if (RAW) {
-      printSection("RAW quote-equity");
-      console.log(JSON.stringify(quote, null, 2));
+function toSearchRows(results) {
+  return results.map(r => ({ ...r, series: r.series.join(",") || null }));
+}
+
+// =============================================================================
+// Exchange Fallback (NSE first, BSE when NSE fails)
+// =============================================================================
+
+// Normalizers per exchange; the BSE ones return the NSE shapes, so every
+// section renders the same whichever exchange answered
+const NORMALIZERS = {
+  NSE: {
+    quote: normalizeQuoteMetrics,
+    corporateActions: normalizeCorporateActions,
+    latestCorporateAction: normalizeCorporateActionsLatest,
+    announcements: normalizeAnnouncements,
+    announcementHeadline: normalizeAnnouncementsHeadline
+  },
+  BSE: {
+    quote: normalizeBseQuote,
+    corporateActions: normalizeBseCorporateActions,
+    latestCorporateAction: normalizeBseCorporateActionsLatest,
+    announcements: normalizeBseAnnouncements,
+    announcementHeadline: normalizeBseAnnouncementsHeadline
+  }
+};
+
+// Set when the NSE session could not be started, so NSE is not tried again
+// (--watch retries the warm-up on every tick)
+let nseInitError = null;
+
+// Fetch from NSE, or from BSE when NSE fails; each failure is added to the report
+// fromNse() / fromBse(code) return the raw response
+// Returns { exchange: "NSE" | "BSE", data, note, error } - exchange and data are null
+// (and error holds NSE's error) when both failed
+async function fetchWithFallback(report, source, symbol, fromNse, fromBse) {
+  let nseError = nseInitError;
+  if (!nseError) {
+    try {
+      return { exchange: "NSE", data: await fromNse(), note: null, error: null };
+    } catch (err) {
+      nseError = err;
     }
+  }
+  addError(report, source, nseError);
 
-    const m = normalizeQuoteMetrics(quote);
-    printQuoteField("CMP", m.cmp);
-    printQuoteField("Day High", m.dayHigh);
-    printQuoteField("Day Low", m.dayLow);
-    printQuoteField("52W High", m.week52High);
-    printQuoteField("52W Low", m.week52Low);
-    printQuoteField("Market Cap", m.marketCap);
-    printQuoteField("P/E (standalone)", m.peStandalone);
-    printQuoteField("Face Value", m.faceValue);
+  try {
+    const code = await getBseCode(symbol);
+    const data = await fromBse(code);
+    return { exchange: "BSE", data, note: `From BSE (scrip ${code}) - NSE failed: ${describeError(nseError)}`, error: null };
   } catch (err) {
-    printApiError("quote-equity", err);
+    addError(report, `${source} (BSE)`, err);
+    return { exchange: null, data: null, note: null, error: nseError };
   }
 }
 
-async function fetchAndPrintTradeInfo() {
+// BSE scrip code: --bse or the --screener paste's "BSE:" line for a single symbol,
+// else BSE's scrip list by symbol. Only a symbol BSE lists under another name is looked
+// up by ISIN, since the equity master comes from NSE, which has just failed
+async function getBseCode(symbol) {
+  if (BSE_CODE && !BATCH) return BSE_CODE;
+  const screenerCode = getScreenerBseCode(symbol);
+  if (screenerCode) return screenerCode;
+
   try {
-    const tradeInfo = await fetchQuoteEquitySection(SYMBOL, "trade_info");
-    
-    if (RAW) {
-      printSection("RAW trade_info");
-      console.log(JSON.stringify(tradeInfo, null, 2));
-    }
+    return await resolveBseCode(symbol);
+  } catch (err) {
+    if (err.status !== "NOT_LISTED") throw err;
+    const equities = await loadEquityMaster();
+    const isin = equities?.find(e => e.symbol === symbol.toUpperCase())?.isin;
+    if (!isin) throw err;
+    return resolveBseCode(symbol, { isin });
+  }
+}
+
+// BSE code on the --screener paste, when it is the page of this symbol
+function getScreenerBseCode(symbol) {
+  if (!SCREENER_FILE || BATCH) return null;
+  const { nseSymbol, bseCode } = parseScreenerText(readScreenerFile(SCREENER_FILE)).listing ?? {};
+  if (nseSymbol && nseSymbol !== symbol.toUpperCase()) return null;
+  return bseCode ?? null;
+}
 
-    const t = normalizeTradeInfoMetrics(tradeInfo);
-    
-    // Only print if we got useful data
+function fetchQuoteWithFallback(report, symbol, source = "quote-equity", options = {}) {
+  return fetchWithFallback(report, source, symbol, () => fetchQuoteEquity(symbol, options), code => fetchBseQuote(code, options));
+}
+
+// =============================================================================
+// Stock Report (default view)
+// =============================================================================
+
+// ~100 calendar days covers the 50 sessions needed for the longest average
+const HISTORY_DAYS = 100;
+
+async function buildStockReport() {
+  const report = createReport("quote", SYMBOL);
+  const to = new Date();
+  const from = new Date(to.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  // Fire all API calls at once (nseClient paces them); sections are added in a
+  // fixed order afterwards so the output does not depend on arrival order.
+  // Trade info, history and shareholding are NSE-only; the rest can come from BSE
+  const [quote, actions, ann, [tradeInfo, history, sh]] = await Promise.all([
+    fetchQuoteWithFallback(report, SYMBOL),
+    fetchWithFallback(report, "corporate-actions", SYMBOL,
+      () => fetchCorporateActions(SYMBOL), code => fetchBseCorporateActions(code)),
+    fetchWithFallback(report, "announcements", SYMBOL,
+      () => fetchAnnouncements(SYMBOL), code => fetchBseAnnouncements(code)),
+    Promise.allSettled([
+      fetchQuoteEquitySection(SYMBOL, "trade_info"),
+      fetchHistorical(SYMBOL, from, to),
+      fetchShareholdingBestEffort(SYMBOL)
+    ])
+  ]);
+
+  addQuoteSection(report, quote, tradeInfo, history);
+  addValuationSection(report, quote);
+  addLatestCorporateActionSection(report, actions);
+  addLatestAnnouncementSection(report, ann);
+  addShareholdingSections(report, sh);
+  return report;
+}
+
+// Quote section: merged output from quote-equity (or BSE) + trade_info + historical
+function addQuoteSection(report, quote, tradeInfo, history) {
+  const fields = [];
+  const cached = [];
+
+  if (quote.data) {
+    if (RAW) addRaw(report, toRawName(quote, "quote-equity"), quote.data);
+    const m = NORMALIZERS[quote.exchange].quote(quote.data);
+    // A BSE quote combines three responses; the price header carries the cache details
+    cached.push(...getCachedEntries(["quote-equity", quote.exchange === "BSE" ? quote.data.header : quote.data]));
+    fields.push(
+      ["exchange", "Exchange", quote.exchange],
+      ["cmp", "CMP", m.cmp],
+      ["dayHigh", "Day High", m.dayHigh],
+      ["dayLow", "Day Low", m.dayLow],
+      ["week52High", "52W High", m.week52High],
+      ["week52Low", "52W Low", m.week52Low],
+      ["dayChange", "Day Change", m.dayChange],
+      ["dayChangePct", "Day Change %", m.dayChangePct],
+      ["marketCap", "Market Cap", m.marketCap],
+      ["peStandalone", "P/E (standalone)", m.peStandalone],
+      ["faceValue", "Face Value", m.faceValue]
+    );
+  }
+
+  if (settled(report, "trade_info", tradeInfo)) {
+    if (RAW) addRaw(report, "trade_info", tradeInfo.value);
+    const t = normalizeTradeInfoMetrics(tradeInfo.value);
+    // Only include if we got useful data
     if (t.volume || t.deliverablePct || t.volatility) {
-      printQuoteField("Today Volume", t.volume);
-      printQuoteField("Deliverable %", t.deliverablePct);
-      printQuoteField("Volatility", t.volatility);
+      cached.push(...getCachedEntries(["trade_info", tradeInfo.value]));
+      fields.push(
+        ["volume", "Today Volume", t.volume],
+        ["deliverablePct", "Deliverable %", t.deliverablePct],
+        ["volatility", "Volatility", t.volatility]
+      );
     }
+  }
+
+  if (settled(report, "historical", history)) {
+    if (RAW) addRaw(report, "historical", history.value);
+    const h = summarizeHistorical(normalizeHistorical(history.value));
+    fields.push(
+      ["avgVolume10d", "Avg Volume (10D)", h.avgVolume10d],
+      ["avgVolume20d", "Avg Volume (20D)", h.avgVolume20d],
+      ["avgVolume50d", "Avg Volume (50D)", h.avgVolume50d],
+      ["avgDeliveryPct10d", "Avg Delivery % (10D)", h.avgDeliveryPct10d],
+      ["avgDeliveryPct20d", "Avg Delivery % (20D)", h.avgDeliveryPct20d]
+    );
+  }
+
+  if (fields.length) addFieldsSection(report, "quote", "Quote", fields, { cached, note: quote.note });
+}
+
+// Valuation section: P/E against the sector, and where the exchange classifies the stock
+function addValuationSection(report, quote) {
+  if (!quote.data) return;
+
+  const m = NORMALIZERS[quote.exchange].quote(quote.data);
+  addFieldsSection(report, "valuation", "Valuation", [
+    ["peStandalone", "P/E (standalone)", m.peStandalone],
+    ["sectorPE", "Sector P/E", m.sectorPE],
+    ["pePremiumPct", "P/E premium vs sector (%)", m.pePremiumPct],
+    ["sectorIndex", "Sector index", m.sectorIndex],
+    ["macroSector", "Macro sector", m.macroSector],
+    ["sector", "Sector", m.sector],
+    ["industry", "Industry", m.industry],
+    ["basicIndustry", "Basic industry", m.basicIndustry],
+    ["indices", "Part of", m.indices.length ? m.indices.join(", ") : null]
+  ], { note: quote.note });
+}
+
+// =============================================================================
+// Profile Report (--screener) - NSE and Screener merged, with provenance
+// =============================================================================
+
+const PROVENANCE_COLUMNS = [
+  { key: "label", label: "Field" },
+  { key: "source", label: "Source" },
+  { key: "asOf", label: "As of" },
+  { key: "nse", label: "NSE" },
+  { key: "screener", label: "Screener" },
+  { key: "conflict", label: "Conflict" }
+];
+
+async function buildProfileReport() {
+  const report = createReport("profile", SYMBOL);
+  const screener = parseScreenerText(readScreenerFile(SCREENER_FILE));
+
+  const to = new Date();
+  const from = new Date(to.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const [quote, tradeInfo, history, actions, ann, sh] = await Promise.allSettled([
+    fetchQuoteEquity(SYMBOL),
+    fetchQuoteEquitySection(SYMBOL, "trade_info"),
+    fetchHistorical(SYMBOL, from, to),
+    fetchCorporateActions(SYMBOL),
+    fetchAnnouncements(SYMBOL),
+    fetchShareholdingBestEffort(SYMBOL)
+  ]);
+
+  // Whatever NSE could not supply is left to Screener
+  const nse = {
+    quote: settled(report, "quote-equity", quote) ? normalizeQuoteMetrics(quote.value) : null,
+    tradeInfo: settled(report, "trade_info", tradeInfo) ? normalizeTradeInfoMetrics(tradeInfo.value) : null,
+    history: settled(report, "historical", history) ? summarizeHistorical(normalizeHistorical(history.value)) : null,
+    corporateAction: settled(report, "corporate-actions", actions) ? normalizeCorporateActionsLatest(actions.value) : null,
+    announcementHeadline: settled(report, "announcements", ann) ? normalizeAnnouncementsHeadline(ann.value) : null,
+    shareholding: settled(report, "shareholding", sh) ? normalizeShareholding(sh.value).latest : null,
+    fetchedAt: getCacheInfo(quote.value)?.fetchedAt ?? report.generatedAt
+  };
+
+  const profile = buildStockProfile({ nse, screener });
+
+  // One section per data-needed.md group, in schema order
+  const sections = [...new Set(profile.fields.map(f => f.section))];
+  for (const title of sections) {
+    const fields = profile.fields.filter(f => f.section === title);
+    addFieldsSection(report, toSectionId(title), title, fields.map(f => [f.key, f.label, f.value]));
+  }
+
+  addRowsSection(report, "provenance", "Sources", PROVENANCE_COLUMNS, profile.fields.map(f => ({
+    label: f.label,
+    source: f.source,
+    asOf: f.asOf,
+    nse: f.values.nse,
+    screener: f.values.screener,
+    conflict: f.conflict ? describeConflict(f.conflict) : null
+  })));
+
+  addRowsSection(report, "conflicts", `Conflicts (${profile.conflicts.length})`, [
+    { key: "label", label: "Field" },
+    { key: "nse", label: "NSE" },
+    { key: "screener", label: "Screener" },
+    { key: "difference", label: "Difference" }
+  ], profile.conflicts.map(c => ({ ...c, difference: describeConflict(c) })), {
+    note: profile.conflicts.length === 0 ? "NSE and Screener agree within tolerance" : null
+  });
+  return report;
+}
+
+// "2.31% (tolerance 1%)" or "0.8 pts (tolerance 0.5 pts)"
+function describeConflict({ difference, tolerance }) {
+  if (tolerance.absolute !== undefined) {
+    return `${difference.absolute} pts (tolerance ${tolerance.absolute} pts)`;
+  }
+  return `${round2(difference.relative * 100)}% (tolerance ${round2(tolerance.relative * 100)}%)`;
+}
+
+// "Price & Volume" -> "priceVolume"
+function toSectionId(title) {
+  const words = title.replace(/[^A-Za-z ]/g, " ").split(/\s+/).filter(Boolean);
+  return words.map((w, i) => (i === 0 ? w.toLowerCase() : capitalize(w.toLowerCase()))).join("");
+}
+
+function readScreenerFile(path) {
+  try {
+    return readFileSync(path, "utf-8");
   } catch (err) {
-    printApiError("trade_info", err);
+    console.error(`Error reading Screener file: ${path}`);
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+// =============================================================================
+// Comparison Report (several symbols or --file)
+// =============================================================================
+
+const COMPARISON_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "exchange", label: "Exch" },
+  { key: "cmp", label: "CMP" },
+  { key: "dayChangePct", label: "Chg %" },
+  { key: "week52Position", label: "52W Pos %" },
+  { key: "marketCapCr", label: "MCap (Cr)" },
+  { key: "pe", label: "P/E" },
+  { key: "volume", label: "Volume" },
+  { key: "deliverablePct", label: "Deliv %" },
+  { key: "status", label: "Status" }
+];
+
+async function buildComparisonReport() {
+  const report = createReport("compare", SYMBOLS.join(","));
+
+  // Every symbol goes through the shared session and limiter; failures stay in their row
+  const rows = await Promise.all(SYMBOLS.map(symbol => fetchComparisonRow(report, symbol)));
+
+  addRowsSection(report, "comparison", `Comparison (${rows.length} symbols)`, COMPARISON_COLUMNS, rows);
+  return report;
+}
+
+async function fetchComparisonRow(report, symbol) {
+  const [quote, [tradeResult]] = await Promise.all([
+    fetchQuoteWithFallback(report, symbol, `${symbol} quote-equity`),
+    Promise.allSettled([fetchQuoteEquitySection(symbol, "trade_info")])
+  ]);
+
+  const row = { symbol, exchange: quote.exchange };
+  const problems = [];
+
+  if (quote.data) {
+    const m = NORMALIZERS[quote.exchange].quote(quote.data);
+    row.cmp = m.cmp;
+    row.dayChangePct = round2(m.dayChangePct);
+    row.week52Position = getWeek52Position(m);
+    row.marketCapCr = m.marketCap === null ? null : Math.round(m.marketCap / 1e7);
+    row.pe = m.peStandalone;
+  } else {
+    problems.push(`quote ${describeError(quote.error)}`);
+  }
+
+  if (tradeResult.status === "fulfilled") {
+    const t = normalizeTradeInfoMetrics(tradeResult.value);
+    row.volume = t.volume;
+    row.deliverablePct = t.deliverablePct;
+  } else {
+    problems.push(`trade_info ${describeError(tradeResult.reason)}`);
+    addError(report, `${symbol} trade_info`, tradeResult.reason);
+  }
+
+  row.status = problems.length ? problems.join("; ") : "ok";
+  return row;
+}
+
+function describeError(err) {
+  return `${err?.status ?? ""} ${err?.reason ?? err?.message ?? err}`.trim();
+}
+
+function round2(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// =============================================================================
+// Index Report (--index)
+// =============================================================================
+
+const CONSTITUENT_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "cmp", label: "CMP" },
+  { key: "dayChange", label: "Change" },
+  { key: "dayChangePct", label: "Change %" }
+];
+
+async function buildIndexReport() {
+  const report = createReport("index", INDEX_NAME);
+  const [indicesResult, constituentsResult] = await Promise.allSettled([
+    fetchAllIndices(),
+    fetchIndexConstituents(INDEX_NAME)
+  ]);
+
+  const allIndices = settled(report, "allIndices", indicesResult) ? indicesResult.value : null;
+  const constituents = settled(report, "equity-stockIndices", constituentsResult) ? constituentsResult.value : null;
+  if (RAW) {
+    addRaw(report, "allIndices", allIndices);
+    addRaw(report, "equity-stockIndices", constituents);
+  }
+
+  const q = normalizeIndexQuote(allIndices, INDEX_NAME, constituents);
+  if (!q) {
+    addFieldsSection(report, "index", `Index: ${INDEX_NAME}`, [], { note: "Index not found" });
+    return report;
   }
+
+  addFieldsSection(report, "index", `Index: ${q.name}`, [
+    ["last", "Last", q.last],
+    ["change", "Change", q.change],
+    ["changePct", "Change %", q.changePct],
+    ["open", "Open", q.open],
+    ["high", "High", q.high],
+    ["low", "Low", q.low],
+    ["previousClose", "Previous Close", q.previousClose],
+    ["week52High", "52W High", q.week52High],
+    ["week52Low", "52W Low", q.week52Low],
+    ["advances", "Advances", q.advances],
+    ["declines", "Declines", q.declines],
+    ["unchanged", "Unchanged", q.unchanged],
+    ["pe", "P/E", q.pe],
+    ["pb", "P/B", q.pb],
+    ["dividendYield", "Dividend Yield", q.dividendYield]
+  ], { cached: getCachedEntries(["allIndices", allIndices], ["equity-stockIndices", constituents]) });
+
+  if (constituents) {
+    const rows = normalizeIndexConstituents(constituents).map(r => ({
+      ...r,
+      dayChange: round2(r.dayChange),
+      dayChangePct: round2(r.dayChangePct)
+    }));
+    addRowsSection(report, "constituents", `Constituents (${rows.length})`, CONSTITUENT_COLUMNS, rows);
+  }
+  return report;
 }
 
 // =============================================================================
 // Corporate Actions
 // =============================================================================
 
-async function fetchAndPrintCorporateActions() {
-  try {
-    const actions = await fetchCorporateActions(SYMBOL);
-    
-    if (RAW) {
-      printSection("RAW corporate-actions");
-      console.log(JSON.stringify(actions, null, 2));
-    }
+function addLatestCorporateActionSection(report, result) {
+  if (!result.data) return;
 
-    printSection("Corporate Actions");
-    const latest = normalizeCorporateActionsLatest(actions);
-    if (latest) {
-      printKV("Symbol", latest.symbol);
-      printKV("Company", latest.comp);
-      printKV("Subject", latest.subject);
-      printKV("Ex Date", latest.exDate);
-      printKV("Record Date", latest.recDate);
-      printKV("Series", latest.series);
-      printKV("Face Value", latest.faceVal);
-      printKV("ISIN", latest.isin);
-    } else {
-      printKV("Latest", "No corporate actions found");
-    }
-  } catch (err) {
-    printApiError("corporate-actions", err);
+  const actions = result.data;
+  if (RAW) addRaw(report, toRawName(result, "corporate-actions"), actions);
+
+  const latest = NORMALIZERS[result.exchange].latestCorporateAction(actions);
+  const cached = getCachedEntries(["corporate-actions", actions]);
+  if (!latest) {
+    addFieldsSection(report, "corporateActions", "Corporate Actions", [], {
+      cached,
+      note: [result.note, "No corporate actions found"].filter(Boolean).join("\n")
+    });
+    return;
   }
+
+  addFieldsSection(report, "corporateActions", "Corporate Actions", [
+    ["symbol", "Symbol", latest.symbol],
+    ["company", "Company", latest.comp],
+    ["subject", "Subject", latest.subject],
+    ["exDate", "Ex Date", latest.exDate],
+    ["recordDate", "Record Date", latest.recDate],
+    ["series", "Series", latest.series],
+    ["faceValue", "Face Value", latest.faceVal],
+    ["isin", "ISIN", latest.isin]
+  ], { cached, note: result.note });
+}
+
+const ACTION_COLUMNS = [
+  { key: "exDate", label: "Ex Date" },
+  { key: "type", label: "Type" },
+  { key: "details", label: "Details" },
+  { key: "recordDate", label: "Record Date" },
+  { key: "amount", label: "Amount" }
+];
+
+// Corporate actions history report (--actions)
+async function buildActionsReport() {
+  const report = createReport("actions", SYMBOL);
+  const [actions, quote] = await Promise.all([
+    fetchWithFallback(report, "corporate-actions", SYMBOL,
+      () => fetchCorporateActions(SYMBOL), code => fetchBseCorporateActions(code)),
+    fetchQuoteWithFallback(report, SYMBOL)
+  ]);
+
+  if (!actions.data) return report;
+  if (RAW) addRaw(report, toRawName(actions, "corporate-actions"), actions.data);
+
+  const events = NORMALIZERS[actions.exchange].corporateActions(actions.data);
+  const since = new Date();
+  since.setFullYear(since.getFullYear() - ACTIONS_YEARS);
+  const recent = events
+    .filter(e => e.exDate && e.exDate >= since)
+    .map(e => ({ ...e, details: describeCorporateAction(e) }));
+
+  addRowsSection(report, "actions", `Corporate Actions (last ${ACTIONS_YEARS} years)`, ACTION_COLUMNS, recent, {
+    cached: getCachedEntries(["corporate-actions", actions.data]),
+    note: [actions.note, recent.length === 0 ? "None found" : null].filter(Boolean).join("\n") || null
+  });
+
+  const cmp = quote.data ? NORMALIZERS[quote.exchange].quote(quote.data).cmp : null;
+  const d = summarizeDividends(events, cmp);
+  addFieldsSection(report, "dividends", "Dividends", [
+    ["exchange", "CMP from", quote.exchange],
+    ["cmp", "CMP", cmp],
+    ["trailingDividendPerShare", "Trailing 12M Dividend / Share", d.trailingDividendPerShare],
+    ["dividendYield", "Dividend Yield (%)", d.dividendYield]
+  ]);
+  return report;
+}
+
+// One-line description of a typed corporate action
+function describeCorporateAction(e) {
+  switch (e.type) {
+    case "dividend":
+      return `${e.dividendKind ? `${capitalize(e.dividendKind)} ` : ""}Dividend Rs ${e.amount ?? "?"}/share`;
+    case "bonus":
+    case "rights":
+      return `${capitalize(e.type)} ${e.ratio ? `${e.ratio.offered}:${e.ratio.held}` : "?"}${e.amount ? ` @ Rs ${e.amount}` : ""}`;
+    case "split":
+    case "consolidation":
+      return `${capitalize(e.type)} FV Rs ${e.faceValue?.from ?? "?"} -> Rs ${e.faceValue?.to ?? "?"}`;
+    default:
+      return e.subject;
+  }
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
 // =============================================================================
 // Announcements
 // =============================================================================
 
-async function fetchAndPrintAnnouncements() {
-  try {
-    const ann = await fetchAnnouncements(SYMBOL);
-    
-    if (RAW) {
-      printSection("RAW announcements");
-      console.log(JSON.stringify(ann, null, 2));
+function addLatestAnnouncementSection(report, result) {
+  if (!result.data) return;
+
+  const ann = result.data;
+  const normalize = NORMALIZERS[result.exchange];
+  if (RAW) addRaw(report, toRawName(result, "announcements"), ann);
+
+  const latest = normalize.announcements(ann)[0];
+  addFieldsSection(report, "announcements", "Announcements", [
+    ["headline", "Headline", normalize.announcementHeadline(ann)],
+    ...(latest
+      ? [
+        ["date", "Date", latest.date],
+        ["details", "Details", latest.description],
+        ["attachment", "Attachment", latest.attachmentUrl]
+      ]
+      : [])
+  ], { cached: getCachedEntries(["announcements", ann]), note: result.note });
+}
+
+const ANNOUNCEMENT_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "category", label: "Category" },
+  { key: "description", label: "Details" },
+  { key: "attachmentUrl", label: "Attachment" }
+];
+
+const DOWNLOAD_COLUMNS = [
+  { key: "file", label: "File" },
+  { key: "status", label: "Status" }
+];
+
+// Announcements list report (--announcements)
+async function buildAnnouncementsReport() {
+  const report = createReport("announcements", SYMBOL);
+  const { from, to } = ANNOUNCEMENT_FILTERS;
+
+  const result = await fetchWithFallback(report, "announcements", SYMBOL,
+    () => fetchAnnouncements(SYMBOL, { from, to }), code => fetchBseAnnouncements(code, { from, to }));
+  if (!result.data) return report;
+  if (RAW) addRaw(report, toRawName(result, "announcements"), result.data);
+
+  const announcements = filterAnnouncements(NORMALIZERS[result.exchange].announcements(result.data), ANNOUNCEMENT_FILTERS);
+  addRowsSection(report, "announcements", `Announcements (${announcements.length})`, ANNOUNCEMENT_COLUMNS, announcements, {
+    layout: "list",
+    cached: getCachedEntries(["announcements", result.data]),
+    note: result.note
+  });
+
+  if (process.argv.includes("--download")) {
+    const dir = DOWNLOAD_DIR_ARG ?? `announcements/${SYMBOL}`;
+    const results = await downloadAnnouncementAttachments(announcements, dir);
+    for (const r of results) {
+      if (r.error) addError(report, r.file, r.error);
     }
+    addRowsSection(report, "downloads", `Downloads -> ${dir}`, DOWNLOAD_COLUMNS,
+      results.map(r => ({ file: r.file, status: r.error ? "failed" : r.status })),
+      { note: results.length === 0 ? "No attachments" : null });
+  }
+  return report;
+}
+
+// =============================================================================
+// Options (--options)
+// =============================================================================
+
+// Strikes shown either side of ATM (--raw has the full chain)
+const OPTION_STRIKES_AROUND_ATM = 10;
+
+const OPTION_CHAIN_COLUMNS = [
+  { key: "ceOi", label: "CE OI" },
+  { key: "ceChangeInOi", label: "CE Chg OI" },
+  { key: "ceIv", label: "CE IV" },
+  { key: "ceLtp", label: "CE LTP" },
+  { key: "strike", label: "Strike" },
+  { key: "peLtp", label: "PE LTP" },
+  { key: "peIv", label: "PE IV" },
+  { key: "peChangeInOi", label: "PE Chg OI" },
+  { key: "peOi", label: "PE OI" }
+];
+
+async function buildOptionsReport() {
+  const report = createReport("options", SYMBOL);
+
+  let resp;
+  try {
+    resp = await fetchOptionChain(SYMBOL);
+  } catch (err) {
+    addError(report, "option-chain", err);
+    return report;
+  }
+  if (RAW) addRaw(report, "option-chain", resp);
 
-    printSection("Announcements");
-    printKV("Headline", normalizeAnnouncementsHeadline(ann));
+  const chain = normalizeOptionChain(resp);
+  const cached = getCachedEntries(["option-chain", resp]);
+  let s = null;
+  try {
+    s = summarizeOptionChain(chain, OPTIONS_EXPIRY);
   } catch (err) {
-    printApiError("announcements", err);
+    addError(report, "option-chain", err);
   }
+  if (!s) {
+    addFieldsSection(report, "options", `Options: ${SYMBOL}`, [
+      ["expiries", "Expiries", chain.expiries.join(", ") || null]
+    ], { cached, note: OPTIONS_EXPIRY ? `No contracts expiring ${OPTIONS_EXPIRY}` : "No option chain (not an F&O symbol?)" });
+    return report;
+  }
+
+  addFieldsSection(report, "options", `Options: ${SYMBOL} (expiry ${s.expiry})`, [
+    ["underlyingValue", "Underlying", s.underlyingValue],
+    ["timestamp", "As of", chain.timestamp],
+    ["expiry", "Expiry", s.expiry],
+    ["atmStrike", "ATM strike", s.atmStrike],
+    ["atmIv", "ATM IV", s.atmIv.avg],
+    ["atmIvCe", "ATM IV (CE)", s.atmIv.ce],
+    ["atmIvPe", "ATM IV (PE)", s.atmIv.pe],
+    ["totalCallOI", "Total CE OI", s.totalCallOI],
+    ["totalPutOI", "Total PE OI", s.totalPutOI],
+    ["pcr", "PCR (OI)", s.pcr],
+    ["pcrVolume", "PCR (volume)", s.pcrVolume],
+    ["maxPain", "Max pain", s.maxPain],
+    ["support", "Support (highest PE OI)", describeOpenInterest(s.support)],
+    ["resistance", "Resistance (highest CE OI)", describeOpenInterest(s.resistance)],
+    ["expiries", "Expiries", chain.expiries.join(", ")]
+  ], { cached });
+
+  const strikes = chain.rows.filter(r => r.expiry === s.expiry);
+  const atIndex = Math.max(0, strikes.findIndex(r => r.strike === s.atmStrike));
+  const window = strikes.slice(Math.max(0, atIndex - OPTION_STRIKES_AROUND_ATM), atIndex + OPTION_STRIKES_AROUND_ATM + 1);
+  addRowsSection(report, "optionChain", `Option Chain (${window.length} of ${strikes.length} strikes)`, OPTION_CHAIN_COLUMNS,
+    window.map(r => ({
+      strike: r.strike,
+      ...Object.fromEntries(["ce", "pe"].flatMap(side => [
+        [`${side}Oi`, r[side]?.oi ?? null],
+        [`${side}ChangeInOi`, r[side]?.changeInOi ?? null],
+        [`${side}Iv`, r[side]?.iv ?? null],
+        [`${side}Ltp`, r[side]?.ltp ?? null]
+      ]))
+    })));
+  return report;
+}
+
+// "24000 (OI 1,23,450), 23500 (OI 98,000)"
+function describeOpenInterest(levels) {
+  if (levels.length === 0) return null;
+  return levels.map(l => `${l.strike} (OI ${l.oi.toLocaleString("en-IN")})`).join(", ");
 }
 
 // =============================================================================
-// Shareholding (best effort - often returns 404)
+// Watch (--watch) - poll during market hours and print what changed
 // =============================================================================
 
-async function fetchAndPrintShareholding() {
-  try {
-    const sh = await fetchShareholdingBestEffort(SYMBOL);
-    
-    if (RAW) {
-      printSection("RAW shareholding");
-      console.log(JSON.stringify(sh, null, 2));
+// Filings change rarely, so announcements and actions are re-fetched at most this often
+const WATCH_FILINGS_TTL_MS = 5 * 60 * 1000;
+
+// Fields compared between ticks: [key, label]
+const WATCH_FIELDS = [
+  ["cmp", "CMP"],
+  ["dayChangePct", "Change %"],
+  ["volume", "Volume"],
+  ["deliverablePct", "Deliverable %"]
+];
+
+const WATCH_CHANGE_COLUMNS = [
+  { key: "label", label: "Field" },
+  { key: "was", label: "Was" },
+  { key: "now", label: "Now" },
+  { key: "change", label: "Change" }
+];
+
+// Runs until interrupted. The first tick shows where each symbol stands; later ticks
+// print only changed fields and new announcements / corporate actions. Outside market
+// hours it sleeps until the next session, after one last tick for the closing values
+async function watchSymbols() {
+  // symbol -> { values, announcements: Set, actions: Set } from the previous tick
+  const state = new Map();
+  let wasOpen = true;
+
+  for (;;) {
+    const session = getMarketSession();
+    if (!session.open && !wasOpen) {
+      if (OUTPUT_FORMAT === "text") console.log(`\nMarket closed - next check at ${formatIst(session.nextOpen)}`);
+      await sleep(session.nextOpen.getTime() - Date.now());
+      wasOpen = true;
+      continue;
     }
 
-    printSection("Shareholding");
-    printKV("Data", sh ?? "not available");
-  } catch (err) {
-    printApiError("shareholding", err);
+    const report = await buildWatchReport(state);
+    if (report.sections.length || report.errors.length) printReport(report, OUTPUT_FORMAT);
+    wasOpen = session.open;
+    await sleep(WATCH_SECONDS * 1000);
   }
 }
 
+async function buildWatchReport(state) {
+  const report = createReport("watch", SYMBOLS.join(","));
+  const time = formatIst(new Date());
+  // A failed warm-up is retried every tick, so NSE is used again once it recovers
+  if (nseInitError) {
+    try {
+      await initNSE();
+      nseInitError = null;
+    } catch (err) {
+      nseInitError = err;
+    }
+  }
+  // Quote and trade info always come from the exchange; filings may come from the cache
+  const live = { cache: false };
+  const filings = { cache: { ttlMs: Math.max(WATCH_SECONDS * 1000, WATCH_FILINGS_TTL_MS) } };
+
+  const results = await Promise.all(SYMBOLS.map(symbol => Promise.all([
+    fetchQuoteWithFallback(report, symbol, `${symbol} quote-equity`, live),
+    Promise.allSettled([fetchQuoteEquitySection(symbol, "trade_info", live)]),
+    fetchWithFallback(report, `${symbol} announcements`, symbol,
+      () => fetchAnnouncements(symbol, filings), code => fetchBseAnnouncements(code, filings)),
+    fetchWithFallback(report, `${symbol} corporate-actions`, symbol,
+      () => fetchCorporateActions(symbol, filings), code => fetchBseCorporateActions(code, filings))
+  ])));
+
+  results.forEach(([quote, [tradeInfo], ann, actions], i) => {
+    const symbol = SYMBOLS[i];
+    const values = { ...state.get(symbol)?.values };
+    if (quote.data) {
+      const m = NORMALIZERS[quote.exchange].quote(quote.data);
+      Object.assign(values, { cmp: m.cmp, dayChangePct: round2(m.dayChangePct) });
+    }
+    if (settled(report, `${symbol} trade_info`, tradeInfo)) {
+      const t = normalizeTradeInfoMetrics(tradeInfo.value);
+      Object.assign(values, { volume: t.volume, deliverablePct: t.deliverablePct });
+    }
+    const announcements = ann.data ? NORMALIZERS[ann.exchange].announcements(ann.data) : null;
+    const events = actions.data ? NORMALIZERS[actions.exchange].corporateActions(actions.data) : null;
+
+    const previous = state.get(symbol);
+    state.set(symbol, {
+      values,
+      announcements: new Set([...previous?.announcements ?? [], ...(announcements ?? []).map(getAnnouncementKey)]),
+      actions: new Set([...previous?.actions ?? [], ...(events ?? []).map(getActionKey)])
+    });
+
+    if (!previous) {
+      addFieldsSection(report, `watch${i + 1}`, `${symbol} at ${time}`, [
+        ["exchange", "Exchange", quote.exchange],
+        ...WATCH_FIELDS.map(([key, label]) => [key, label, values[key]])
+      ], { note: `Watching every ${WATCH_SECONDS}s during market hours (Mon-Fri 09:15-15:30 IST); only changes are shown from now on` });
+      return;
+    }
+
+    const changes = WATCH_FIELDS
+      .filter(([key]) => values[key] != null && values[key] !== previous.values[key])
+      .map(([key, label]) => ({
+        label,
+        was: previous.values[key] ?? null,
+        now: values[key],
+        change: previous.values[key] == null ? null : round2(values[key] - previous.values[key])
+      }));
+    if (changes.length) {
+      addRowsSection(report, `changes${i + 1}`, `${symbol} at ${time}`, WATCH_CHANGE_COLUMNS, changes);
+    }
+
+    const newAnnouncements = (announcements ?? []).filter(a => !previous.announcements.has(getAnnouncementKey(a)));
+    if (newAnnouncements.length) {
+      addRowsSection(report, `announcements${i + 1}`, `${symbol}: new announcements (${newAnnouncements.length})`,
+        ANNOUNCEMENT_COLUMNS, newAnnouncements, { layout: "list", note: ann.note });
+    }
+
+    const newActions = (events ?? []).filter(e => !previous.actions.has(getActionKey(e)));
+    if (newActions.length) {
+      addRowsSection(report, `actions${i + 1}`, `${symbol}: new corporate actions (${newActions.length})`,
+        ACTION_COLUMNS, newActions.map(e => ({ ...e, details: describeCorporateAction(e) })), { note: actions.note });
+    }
+  });
+  return report;
+}
+
+function getAnnouncementKey(a) {
+  return a.id ?? `${a.date?.toISOString()}|${a.category}|${a.description}`;
+}
+
+function getActionKey(e) {
+  return `${e.exDate?.toISOString()}|${e.subject}`;
+}
+
+// "2025-10-17 10:32:05 IST"
+function formatIst(date) {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000).toISOString();
+  return `${ist.slice(0, 10)} ${ist.slice(11, 19)} IST`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+// =============================================================================
+// End-of-Day Store (--eod) - imported bhavcopy and delivery files, no NSE requests
+// =============================================================================
+
+// Sessions read for the averages; the longest (50D) needs 50 plus the latest day
+const EOD_SUMMARY_DAYS = 51;
+
+const EOD_HISTORY_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "series", label: "Series" },
+  { key: "open", label: "Open" },
+  { key: "high", label: "High" },
+  { key: "low", label: "Low" },
+  { key: "close", label: "Close" },
+  { key: "changePct", label: "Chg %" },
+  { key: "volume", label: "Volume" },
+  { key: "deliveryQty", label: "Deliv Qty" },
+  { key: "deliveryPct", label: "Deliv %" }
+];
+
+const EOD_COMPARISON_COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "date", label: "Date" },
+  { key: "close", label: "Close" },
+  { key: "changePct", label: "Chg %" },
+  { key: "volume", label: "Volume" },
+  { key: "avgVolume20d", label: "Avg Vol 20D" },
+  { key: "volumeVsAvg20d", label: "Vol/Avg" },
+  { key: "deliveryPct", label: "Deliv %" },
+  { key: "avgDeliveryPct20d", label: "Avg Deliv 20D" },
+  { key: "status", label: "Status" }
+];
+
+function buildEodReport() {
+  const report = createReport("eod", BATCH ? SYMBOLS.join(",") : SYMBOL);
+  const dates = listEodDates();
+  const history = loadEodHistory(SYMBOLS, { days: Math.max(EOD_DAYS, EOD_SUMMARY_DAYS) });
+  const stored = dates.length ? `${dates.length} dates stored (${dates[0]} to ${dates.at(-1)})` : `nothing stored in ${EOD_DIR}`;
+  const importHint = "import bhavcopy / delivery files with: node importEod.js <file>";
+
+  if (BATCH) {
+    const rows = SYMBOLS.map(symbol => {
+      const rows = history.get(symbol);
+      const s = summarizeEod(rows);
+      return s
+        ? { symbol, ...s, status: s.date === dates.at(-1) ? "ok" : "not in latest file" }
+        : { symbol, status: "not stored" };
+    });
+    addRowsSection(report, "eodComparison", `EOD Comparison (${rows.length} symbols)`, EOD_COMPARISON_COLUMNS, rows, {
+      note: rows.some(r => r.status === "not stored") ? `${stored}; ${importHint}` : stored
+    });
+    return report;
+  }
+
+  const rows = history.get(SYMBOL);
+  const s = summarizeEod(rows);
+  if (!s) {
+    addFieldsSection(report, "eod", `EOD: ${SYMBOL}`, [["storedDates", "Stored dates", dates.length]], {
+      note: `No ${SYMBOL} records - ${stored}; ${importHint}`
+    });
+    return report;
+  }
+
+  addFieldsSection(report, "eod", `EOD: ${SYMBOL} (${s.date})`, [
+    ["date", "Date", s.date],
+    ["close", "Close", s.close],
+    ["changePct", "Change %", s.changePct],
+    ["volume", "Volume", s.volume],
+    ["deliveryQty", "Delivery Qty", s.deliveryQty],
+    ["deliveryPct", "Delivery %", s.deliveryPct],
+    ["avgVolume10d", "Avg Volume (10D)", s.avgVolume10d],
+    ["avgVolume20d", "Avg Volume (20D)", s.avgVolume20d],
+    ["avgVolume50d", "Avg Volume (50D)", s.avgVolume50d],
+    ["volumeVsAvg20d", "Volume vs prior 20D avg (x)", s.volumeVsAvg20d],
+    ["avgDeliveryPct10d", "Avg Delivery % (10D)", s.avgDeliveryPct10d],
+    ["avgDeliveryPct20d", "Avg Delivery % (20D)", s.avgDeliveryPct20d]
+  ], { note: s.date === dates.at(-1) ? stored : `Not in the latest file (${dates.at(-1)}); ${stored}` });
+
+  addRowsSection(report, "eodHistory", `Last ${Math.min(EOD_DAYS, rows.length)} sessions`, EOD_HISTORY_COLUMNS,
+    rows.slice(-EOD_DAYS).reverse().map(r => ({ ...r, changePct: getEodChangePct(r) })));
+  return report;
+}
+
+// =============================================================================
+// Shareholding (best effort - often returns 404)
+// =============================================================================
+
+// Same labels as the Screener CLI so both outputs line up
+const HOLDER_LABELS = {
+  promoter: "Promoter holding (%)",
+  fii: "FII holding (%)",
+  dii: "DII holding (%)",
+  public: "Public holding (%)",
+  pledged: "Pledged (%)"
+};
+
+function addShareholdingSections(report, result) {
+  if (!settled(report, "shareholding", result)) return;
+
+  const sh = result.value;
+  if (RAW) addRaw(report, "shareholding", sh);
+
+  const { quarters, latest, categories } = normalizeShareholding(sh);
+  const cached = getCachedEntries(["shareholding", sh]);
+  if (!latest) {
+    addFieldsSection(report, "shareholding", "Shareholding Pattern", [], { cached, note: "Data not available" });
+    return;
+  }
+
+  // Categories the endpoint does not report are left out rather than shown as blanks
+  const missing = SHAREHOLDING_CATEGORIES.filter(key => !categories.includes(key));
+  const note = missing.length
+    ? `Not reported by NSE for this symbol: ${missing.map(getHolderName).join(", ")} (the shareholding master has promoter and public totals only)`
+    : null;
+
+  addFieldsSection(report, "shareholding", "Shareholding Pattern", [
+    ["asOf", "As of", latest.quarter],
+    ...categories.flatMap(key => [
+      [key, HOLDER_LABELS[key], latest[key]],
+      ...(key === "promoter" ? [["promoterChange", "Promoter holding change", latest.change.promoter]] : [])
+    ])
+  ], { cached, note });
+
+  // Quarter history with point changes against the previous quarter
+  const columns = [
+    { key: "quarter", label: "Quarter" },
+    ...categories.flatMap(key => [
+      { key, label: getHolderName(key) },
+      { key: `${key}Change`, label: "Chg" }
+    ])
+  ];
+  const rows = quarters.map(q => ({
+    quarter: q.quarter,
+    ...Object.fromEntries(categories.flatMap(key => [[key, q[key]], [`${key}Change`, q.change[key]]]))
+  }));
+  addRowsSection(report, "shareholdingHistory", "Shareholding History", columns, rows);
+}
+
+// "FII", "DII", "Promoter", ...
+function getHolderName(key) {
+  return key === "fii" || key === "dii" ? key.toUpperCase() : capitalize(key);
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+// True if a Promise.allSettled result is usable; a rejection becomes a report error
+function settled(report, source, result) {
+  if (result.status === "fulfilled") return true;
+  addError(report, source, result.reason);
+  return false;
+}
+
+// Raw dump name: the NSE source name, prefixed with "bse-" for BSE responses
+function toRawName(result, source) {
+  return result.exchange === "BSE" ? `bse-${source}` : source;
+}
+
+// Cache entries for the responses that came from the local cache
+// pairs: [source, response] - responses not served from cache are skipped
+function getCachedEntries(...pairs) {
+  return pairs.flatMap(([source, data]) => {
+    const info = data && getCacheInfo(data);
+    return info ? [{ source, fetchedAt: info.fetchedAt, ageMs: info.ageMs, stale: info.stale }] : [];
+  });
+}
+
 // =============================================================================
 // Run
 // =============================================================================
 
-main();
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
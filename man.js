@@ -22,8 +22,11 @@ ${BOLD}${UNDERLINE}NAME${RESET}
        stock-extractor - Extract Indian stock market data from NSE and Screener.in
 
 ${BOLD}${UNDERLINE}SYNOPSIS${RESET}
-       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} [--raw]
-       ${GREEN}node screenerCli.js${RESET} ${CYAN}<input-file>${RESET} [--json] [--raw]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} [--raw] [--offline] [--record | --replay [dir]] [--format fmt]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} --actions [${CYAN}years${RESET}]
+       ${GREEN}node checkFixtures.js${RESET} [${CYAN}cassette-dir${RESET}]
+       ${GREEN}node server.js${RESET} [--port ${CYAN}n${RESET}] [--offline] [--replay [dir]]
+       ${GREEN}node screenerCli.js${RESET} ${CYAN}<input-file>${RESET} [--json] [--raw] [--no-eod]
        ${GREEN}node man.js${RESET} [${CYAN}nse${RESET} | ${CYAN}screener${RESET} | ${CYAN}data${RESET} | ${CYAN}examples${RESET}]
 
 ${BOLD}${UNDERLINE}DESCRIPTION${RESET}
@@ -57,9 +60,17 @@ ${BOLD}${UNDERLINE}FILES${RESET}
        index.js            NSE API client entry point
        screenerCli.js      Screener.in text parser CLI
        src/screenerParser.js   Core parsing functions
-       src/format.js       Output formatting utilities
+       src/stockProfile.js NSE + Screener merge with per-field provenance
+       src/format.js       Report renderers (text, JSON, NDJSON, CSV)
        nseClient.js        NSE session/cookie management
        nseData.js          NSE API fetch and normalize functions
+       nseSearch.js        Symbol search and company-name resolution
+       bseClient.js        BSE requests through the shared client pipeline
+       bseData.js          BSE fetchers, normalized to the NSE shapes
+       nseEod.js           Bhavcopy / delivery file parser and EOD store
+       importEod.js        Imports bhavcopy / delivery files into .nse-eod/
+       server.js           Local HTTP API (JSON + CORS) for browser UIs
+       checkFixtures.js    Normalizer checks against recorded cassettes
 
 ${BOLD}${UNDERLINE}AUTHOR${RESET}
        Stock Extractor Project
@@ -80,7 +91,18 @@ ${BOLD}${UNDERLINE}NAME${RESET}
        index.js - Fetch real-time stock data from NSE India APIs
 
 ${BOLD}${UNDERLINE}SYNOPSIS${RESET}
-       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} [${YELLOW}--raw${RESET}]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} [${YELLOW}--raw${RESET}] [${YELLOW}--offline${RESET}] [${YELLOW}--record${RESET} | ${YELLOW}--replay${RESET} [${CYAN}dir${RESET}]]
+                     [${YELLOW}--format${RESET} ${CYAN}text|json|ndjson|csv${RESET}]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} ${YELLOW}--actions${RESET} [${CYAN}years${RESET}]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} ${YELLOW}--announcements${RESET} [${YELLOW}--from${RESET} ${CYAN}date${RESET}] [${YELLOW}--to${RESET} ${CYAN}date${RESET}] [${YELLOW}--category${RESET} ${CYAN}c${RESET}]
+                     [${YELLOW}--keyword${RESET} ${CYAN}k${RESET}] [${YELLOW}--download${RESET} [${CYAN}dir${RESET}]]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL> <SYMBOL>...${RESET} | ${YELLOW}--file${RESET} ${CYAN}<symbols.txt>${RESET}
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} ${YELLOW}--screener${RESET} ${CYAN}<screener-input.txt>${RESET}
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET} ${YELLOW}--options${RESET} [${CYAN}expiry${RESET}]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET}... ${YELLOW}--eod${RESET} [${CYAN}days${RESET}]
+       ${GREEN}node index.js${RESET} ${CYAN}<SYMBOL>${RESET}... ${YELLOW}--watch${RESET} [${CYAN}interval${RESET}]
+       ${GREEN}node index.js${RESET} ${YELLOW}--index${RESET} ${CYAN}"<INDEX NAME>"${RESET}
+       ${GREEN}node index.js${RESET} search ${CYAN}<company name or partial symbol>${RESET}
 
 ${BOLD}${UNDERLINE}DESCRIPTION${RESET}
        Fetches live stock data from NSE India's public APIs. Automatically
@@ -89,34 +111,162 @@ ${BOLD}${UNDERLINE}DESCRIPTION${RESET}
 ${BOLD}${UNDERLINE}ARGUMENTS${RESET}
        ${CYAN}<SYMBOL>${RESET}
               NSE stock symbol (e.g., HDFCBANK, RELIANCE, TCS, INFY)
-              Case-insensitive. Required.
+              Case-insensitive. Required unless ${YELLOW}--index${RESET} or ${YELLOW}--file${RESET} is given.
+              Give several symbols to get a comparison table instead.
+              A company name ("HDFC Bank", or a single word such as
+              Infosys that is not a listed symbol) is looked up and
+              replaced by its symbol when one match is clearly best;
+              otherwise the candidates are listed and nothing else is
+              fetched.
+
+       search ${CYAN}<query>${RESET}
+              Find symbols by company name or partial symbol: symbol,
+              company, series, ISIN and a match score (100 = exact). Uses
+              NSE's search, and falls back to a fuzzy search of the local
+              equity master (.nse-equity-master.csv, NSE's EQUITY_L.csv,
+              downloaded on first use and again once a day old) when NSE is
+              unreachable or finds nothing. Tolerates typos ("infosis").
 
 ${BOLD}${UNDERLINE}OPTIONS${RESET}
        ${YELLOW}--raw${RESET}
               Display raw JSON responses from NSE APIs alongside formatted
               output. Useful for debugging or accessing additional fields.
 
+       ${YELLOW}--format${RESET} ${CYAN}text|json|ndjson|csv${RESET}
+              Output format (default text). Every view is collected into
+              one report first, so sections come out in a fixed order and
+              failed calls are listed as structured errors at the end.
+              ${CYAN}json${RESET}     One document; sections keyed by id, tables as rows
+              ${CYAN}ndjson${RESET}   One line per section, table row and error
+              ${CYAN}csv${RESET}      Long format: section,row,field,value
+              ${YELLOW}--json${RESET} is short for ${YELLOW}--format json${RESET}.
+
+       ${YELLOW}--offline${RESET}
+              Serve every section from the local response cache without
+              contacting NSE. Cached values are labelled with their fetch
+              time, and marked ${BOLD}[STALE]${RESET} when older than the endpoint's
+              freshness window.
+
+       ${YELLOW}--actions${RESET} [${CYAN}years${RESET}]
+              Show only the corporate actions history for the last ${CYAN}years${RESET}
+              (default 5): dividends with amount per share, bonus and
+              rights ratios, splits with old/new face value, buybacks.
+              Ends with the trailing 12-month dividend per share and the
+              dividend yield at the current price.
+
+       ${YELLOW}--announcements${RESET}
+              Show only the announcements list: date/time (IST), category,
+              description and attachment (PDF) URL, newest first.
+              ${YELLOW}--from${RESET} / ${YELLOW}--to${RESET} ${CYAN}YYYY-MM-DD${RESET}   Date range in IST days (inclusive);
+                                --to alone covers the 90 days before it,
+                                --from alone runs to today
+              ${YELLOW}--category${RESET} ${CYAN}c${RESET}    board-meeting, results, outcome,
+                                insider-trading, credit-rating, or any text
+              ${YELLOW}--keyword${RESET} ${CYAN}k${RESET}     Text to find in category or description
+              ${YELLOW}--download${RESET} [${CYAN}dir${RESET}] Save the attachments of the listed
+                                announcements (default announcements/<SYMBOL>)
+
+       ${YELLOW}--bse${RESET} ${CYAN}<code>${RESET}
+              BSE scrip code (e.g. 500180, shown as "BSE:" on Screener pages)
+              for the BSE fallback. Without it the code is looked up in
+              BSE's scrip list by symbol, then ISIN.
+
+       ${YELLOW}--file${RESET} ${CYAN}<path>${RESET}
+              Compare the symbols listed in a file (one per line or comma
+              separated, # starts a comment). Same as listing several
+              symbols: one table row per symbol with CMP, day change %,
+              52W position (0 = at the low, 100 = at the high), market
+              cap (Rs Cr), P/E, volume and delivery %. A symbol that
+              fails keeps its row, with the error in the Status column.
+
+       ${YELLOW}--screener${RESET} ${CYAN}<path>${RESET}
+              Merge live NSE data with a Screener.in paste into one profile
+              laid out like data-needed.md. NSE wins for live fields (price,
+              volume, market cap) and filings; Screener wins for
+              fundamentals. A Sources table lists each field's source, fetch
+              time and both values; a Conflicts table flags values that
+              disagree beyond tolerance (1% by default, 5% for P/E, 2% for
+              market cap, 0.5 points for holdings).
+
+       ${YELLOW}--options${RESET} [${CYAN}expiry${RESET}]
+              Option chain for the nearest expiry, or the given one
+              (YYYY-MM-DD or 28-Oct-2025): put-call ratio by OI and volume,
+              max pain, the highest put OI strikes (support) and call OI
+              strikes (resistance), and ATM IV; then OI, change in OI, IV
+              and LTP for CE and PE on 10 strikes either side of ATM. Use
+              NIFTY, BANKNIFTY, FINNIFTY, MIDCPNIFTY or NIFTYNXT50 as the
+              symbol for index options.
+
+       ${YELLOW}--watch${RESET} [${CYAN}interval${RESET}]
+              Keep running and re-fetch every interval (60 seconds by
+              default; 30s, 5m or a number of seconds, at least 15s). The
+              first tick shows CMP, change %, volume and deliverable %;
+              after that only changed fields are printed with the old and
+              new value, plus any new announcements and corporate actions.
+              Polls only during market hours (09:15-15:30 IST, Mon-Fri;
+              holidays are not known) and sleeps until the next open after
+              the close. Stop with Ctrl+C.
+
+       ${YELLOW}--eod${RESET} [${CYAN}days${RESET}]
+              Volume and delivery from the local EOD store, without any NSE
+              request: latest close, volume and delivery %, 10/20/50-day
+              average volume, today's volume against the 20 sessions before
+              it, then the last N sessions (default 20). With several
+              symbols, one comparison row each. Fill the store by importing
+              downloaded bhavcopy and delivery files (CSV, DAT or ZIP) with
+              node importEod.js <file|dir>... (stored in .nse-eod/, or
+              NSE_EOD_DIR).
+
+       ${YELLOW}--index${RESET} [${CYAN}name${RESET}]
+              Show an index instead of a stock (default NIFTY 50): level,
+              change, open/high/low, 52-week range, advances/declines and
+              index P/E, P/B and dividend yield, followed by every
+              constituent's CMP and day change. Use NSE's index name,
+              e.g. "NIFTY BANK", "NIFTY IT", "NIFTY PHARMA".
+
+       ${YELLOW}--record${RESET} [${CYAN}dir${RESET}]
+              Save every NSE request/response pair as a JSON cassette in
+              ${CYAN}dir${RESET} (default fixtures/cassettes).
+
+       ${YELLOW}--replay${RESET} [${CYAN}dir${RESET}]
+              Serve NSE responses only from recorded cassettes. Recorded
+              errors (e.g. shareholding 404) are replayed as errors.
+              Check cassettes against the normalizers with
+              ${GREEN}npm run check-fixtures${RESET}.
+
 ${BOLD}${UNDERLINE}DATA EXTRACTED${RESET}
        ${BOLD}Quote Section:${RESET}
          • Current Market Price (CMP)
          • Day High / Day Low
          • 52-Week High / 52-Week Low
+         • Day Change / Day Change %
          • Market Capitalization
          • P/E Ratio (standalone)
          • Face Value
          • Today's Volume
          • Deliverable %
          • Volatility
+         • 10 / 20 / 50-day Average Volume (from daily history)
+         • 10 / 20-day Average Delivery %
+
+       ${BOLD}Valuation:${RESET}
+         • P/E (standalone) vs the sector P/E, as a premium / discount %
+         • Sector index whose P/E is used (e.g. NIFTY BANK)
+         • Macro sector / sector / industry / basic industry
+         • Indices the stock is part of
 
        ${BOLD}Corporate Actions:${RESET}
          • Latest dividend, bonus, split, rights
          • Ex-date and record date
 
        ${BOLD}Announcements:${RESET}
-         • Latest company announcement headline
+         • Latest company announcement headline, date, details, attachment
 
-       ${BOLD}Shareholding:${RESET}
-         • Available when NSE provides data (often limited)
+       ${BOLD}Shareholding Pattern:${RESET}
+         • Promoter / FII / DII / Public / Pledged (%) for the latest
+           quarter, with the change vs the previous quarter
+         • Quarter-wise history (same labels as the Screener parser)
+         • Fields NSE does not publish for a symbol print as null
 
 ${BOLD}${UNDERLINE}EXAMPLES${RESET}
        ${GREEN}node index.js HDFCBANK${RESET}
@@ -128,6 +278,34 @@ ${BOLD}${UNDERLINE}EXAMPLES${RESET}
        ${GREEN}node index.js TCS${RESET}
               Fetch TCS data
 
+       ${GREEN}node index.js ITC --actions 3${RESET}
+              ITC corporate actions of the last 3 years and dividend yield
+
+       ${GREEN}node index.js HDFCBANK --json > hdfcbank.json${RESET}
+              Save the full report as JSON
+
+       ${GREEN}node index.js HDFCBANK --announcements --category results --download${RESET}
+              Results announcements, with their PDFs saved locally
+
+       ${GREEN}node index.js HDFCBANK ICICIBANK SBIN AXISBANK${RESET}
+              Side-by-side comparison table of four banks
+
+       ${GREEN}node index.js NIFTY --options${RESET}
+              NIFTY option chain for the nearest expiry with PCR and max pain
+
+       ${GREEN}node index.js HDFCBANK SBIN --watch 30s${RESET}
+              Print price, volume and delivery changes every 30 seconds
+              while the market is open
+
+       ${GREEN}node importEod.js ~/Downloads/*.zip && node index.js SBIN --eod${RESET}
+              Import bhavcopies, then SBIN's volume and delivery from them
+
+       ${GREEN}node index.js --index "NIFTY BANK"${RESET}
+              Bank index summary with each constituent's price move
+
+       ${GREEN}node index.js HDFCBANK --offline${RESET}
+              Re-show the last fetched HDFC Bank data from the cache
+
 ${BOLD}${UNDERLINE}EXIT STATUS${RESET}
        0      Success
        1      Missing symbol argument or API error
@@ -135,7 +313,13 @@ ${BOLD}${UNDERLINE}EXIT STATUS${RESET}
 ${BOLD}${UNDERLINE}NOTES${RESET}
        • NSE may rate-limit or block requests if called too frequently
        • Session cookies are automatically managed
+       • Responses are cached in .nse-cache/ (quotes 1 min, announcements
+         15 min, corporate actions 1 day, shareholding 7 days)
        • Some data points may return null if NSE doesn't provide them
+       • When NSE fails, the quote, corporate actions and announcements
+         come from BSE (quote, comparison, --actions and --announcements
+         views); the Exchange field and a note on each section say so.
+         Trade info, history and shareholding are NSE-only
 
 ${DIM}stock-extractor 1.0.0                January 2026                            1${RESET}
 `,
@@ -147,7 +331,7 @@ ${BOLD}${UNDERLINE}NAME${RESET}
        screenerCli.js - Parse stock data from screener.in copy-pasted text
 
 ${BOLD}${UNDERLINE}SYNOPSIS${RESET}
-       ${GREEN}node screenerCli.js${RESET} ${CYAN}<input-file>${RESET} [${YELLOW}--json${RESET}] [${YELLOW}--raw${RESET}]
+       ${GREEN}node screenerCli.js${RESET} ${CYAN}<input-file>${RESET} [${YELLOW}--json${RESET}] [${YELLOW}--raw${RESET}] [${YELLOW}--no-eod${RESET}]
 
 ${BOLD}${UNDERLINE}DESCRIPTION${RESET}
        Extracts structured stock data from raw text copied from screener.in.
@@ -167,6 +351,13 @@ ${BOLD}${UNDERLINE}OPTIONS${RESET}
               Output full nested JSON structure with metadata.
               Includes extraction statistics and timestamp.
 
+       ${YELLOW}--no-eod${RESET}
+              Do not read the local EOD store. By default, when the page's
+              NSE symbol ("NSE: HDFCBANK") has imported bhavcopy rows (see
+              node importEod.js), the latest session's close, volume,
+              10-day average volume, volume against the prior 20 sessions
+              and delivery % are added (EOD fields in --json, eod in --raw).
+
 ${BOLD}${UNDERLINE}HOW TO GET INPUT DATA${RESET}
        1. Visit ${CYAN}https://www.screener.in/company/<SYMBOL>/${RESET}
           Example: https://www.screener.in/company/HDFCBANK/
@@ -186,26 +377,79 @@ ${BOLD}${UNDERLINE}DATA EXTRACTED${RESET}
        ${BOLD}Price & Volume:${RESET}
          • Current Market Price (CMP)
          • 52-Week High / Low
-         • Volume: N/A (not in screener copy-paste)
+         • Volume: N/A (not in screener copy-paste; see the EOD store
+           section when bhavcopies are imported)
          • 10-day avg volume: N/A
 
        ${BOLD}Valuation Metrics:${RESET}
          • P/E Ratio
          • P/B Ratio (calculated from CMP / Book Value)
          • Face Value
-         • Industry P/E: N/A
+         • Industry P/E (custom "Industry PE" ratio, else the median P/E
+           of the listed peers other than the stock itself, else
+           Screener's "Median: N Co." row) and the P/E premium / discount
+           against it
+         • Market-cap weighted industry P/E: total market cap over total
+           earnings (market cap / P/E) of the other peers; loss-making
+           peers are left out
+         • Sector and industry (peer comparison breadcrumb), index membership
 
        ${BOLD}Financial Strength:${RESET}
          • Market Capitalization
          • EPS (TTM)
          • ROE (%)
          • ROCE (%)
-         • Debt to Equity: N/A
+         • Debt to Equity: Borrowings / (Equity Capital + Reserves) from
+           the latest balance sheet column, with the rows and period used
+         • Banks (balance sheet with Deposits): Borrowings / Deposits and
+           Total Assets / Equity
+         • Operating cash flow (CFO) and CFO + investing cash flow of the
+           latest year; free cash flow (CFO - net capex) only when Cash
+           from Investing is expanded to "Fixed assets purchased" before
+           copying (CFO + CFI also counts acquisitions and investments)
 
        ${BOLD}Growth & Profitability:${RESET}
          • Revenue Growth (YoY) - TTM
          • Net Profit Growth (YoY) - TTM
          • Operating/Financing Margin
+         • Latest quarter's revenue, profit before tax and net profit
+           growth: QoQ (vs the previous quarter) and YoY (vs the same
+           quarter last year), from the Quarterly Results table
+         • Latest full year's revenue and net profit growth, and 5-year
+           CAGR, from the annual Profit & Loss table
+         • Compounded Sales Growth, Compounded Profit Growth, Stock Price
+           CAGR and Return on Equity blocks: 10/5/3-year and latest
+           (TTM, 1 Year or Last Year) figures
+         • Growth consistency: per block, the latest figure against the
+           3-year one and a trend - accelerating (each shorter period at
+           or above the longer one), decelerating, steady (all within
+           1 pp) or mixed
+         • Financial trends: revenue, net profit, their YoY growth, CFO,
+           CFO + CFI and (with capex rows) FCF for the last 5 years;
+           3/5/10-year CAGR; years with positive CFO + CFI / FCF
+
+       ${BOLD}Peer Comparison:${RESET}
+         • Every listed peer: CMP, P/E, market cap, dividend yield,
+           quarterly net profit and sales with their variance %, ROCE
+         • The stock's rank among them per column (1 = highest value,
+           except P/E where 1 = cheapest); the stock's row is found by
+           market cap, else CMP, else name, else S.No. 1
+
+       ${BOLD}Tables (--raw):${RESET}
+         • quarterlyResults: every row of Quarterly Results keyed by
+           quarter ({ periods, metrics: { Revenue: { "Sep 2025": 76691 } } }),
+           blank cells as null
+         • financials: profitLoss (with TTM), balanceSheet (with the
+           latest half-year) and cashFlow in the same shape, and a
+           summary with per-year growth, CAGR, CFO + CFI and free cash
+           flow, and leverage ratios for every balance sheet period
+         • growth.compounded: { sales, profit, stockPrice,
+           returnOnEquity } as { "10 Years": 20, ..., "TTM": 6 } maps;
+           growth.consistency: { trend, latestPeriod, latestVs3Years }
+           per block
+         • peerComparison: { columns, peers, industryPE: { median,
+           marketCapWeighted, peers }, stock, ranks: { pe: { value,
+           rank, of }, ... } }
 
        ${BOLD}Shareholding Pattern:${RESET}
          • Promoter Holding (%)
@@ -261,11 +505,12 @@ ${BOLD}${UNDERLINE}DATA AVAILABILITY MATRIX${RESET}
        │ Day High / Low                  │    ✓      │    ✗      │
        │ 52-Week High / Low              │    ✓      │    ✓      │
        │ Volume (today)                  │    ✓      │    ✗      │
-       │ 10-day average volume           │    ~      │    ✗      │
+       │ 10-day average volume           │    ✓      │    ✗      │
        ├─────────────────────────────────┼───────────┼───────────┤
        │ ${UNDERLINE}VALUATION METRICS${RESET}                │           │           │
        │ P/E Ratio                       │    ✓      │    ✓      │
-       │ Industry P/E                    │    ✗      │    ✗      │
+       │ Industry / Sector P/E           │    ✓      │    ✓      │
+       │ Sector classification           │    ✓      │    ✓      │
        │ P/B Ratio                       │    ✗      │    ✓      │
        │ Book Value                      │    ✗      │    ✓      │
        │ Face Value                      │    ✓      │    ✓      │
@@ -302,9 +547,7 @@ ${BOLD}${UNDERLINE}RECOMMENDED APPROACH${RESET}
        • ${CYAN}Screener${RESET}: Fundamentals, ratios, growth, full shareholding
 
 ${BOLD}${UNDERLINE}NOT AVAILABLE FROM EITHER SOURCE${RESET}
-       • Industry P/E (requires sector comparison data)
        • Debt to Equity (not directly in screener copy-paste)
-       • 10-day average volume (would need historical data)
 
 ${DIM}stock-extractor 1.0.0                January 2026                            1${RESET}
 `,
@@ -357,6 +600,9 @@ ${BOLD}${UNDERLINE}WORKFLOW: COMPLETE STOCK ANALYSIS${RESET}
 
 ${BOLD}${UNDERLINE}WORKFLOW: BATCH ANALYSIS${RESET}
 
+       ${DIM}# Live NSE comparison of a watchlist${RESET}
+       ${GREEN}node index.js --file watchlist.txt${RESET}
+
        ${DIM}# Create separate input files for each stock${RESET}
        ${DIM}# hdfc.txt, reliance.txt, tcs.txt${RESET}
        
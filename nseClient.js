@@ -4,11 +4,29 @@
 // =============================================================================
 
 import axios from "axios";
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
 import { CookieJar } from "tough-cookie";
 import { wrapper } from "axios-cookiejar-support";
 
-// Cookie jar stores session cookies automatically
-const jar = new CookieJar();
+const NSE_HOME = "https://www.nseindia.com";
+
+// Session file keeps cookies between runs (override with NSE_SESSION_FILE)
+const SESSION_FILE = process.env.NSE_SESSION_FILE || ".nse-session.json";
+
+// NSE cookies (nsit, nseappid) go stale within a few hours even when
+// their Expires attribute says otherwise, so cap how long we trust a saved jar
+const SESSION_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+// Cookie jar stores session cookies automatically (restored from disk if fresh)
+const savedSession = loadSession();
+const jar = savedSession?.jar ?? new CookieJar();
+
+// When the jar's session began (kept across saves so the age cap holds) and
+// the cookies last written, so requests only rewrite the file when they change
+let sessionStartedAt = savedSession?.savedAt ?? null;
+let savedCookies = getCookieSignature();
 
 // Browser-like headers to avoid NSE blocking
 const BROWSER_HEADERS = {
@@ -36,8 +54,68 @@ const client = wrapper(
   })
 );
 
-// Track if we've already warmed up the session
-let initialized = false;
+// Track if we've already warmed up the session (a restored jar counts)
+let initialized = jar.getCookiesSync(NSE_HOME).length > 0;
+
+// In-flight warm-up, shared so parallel callers hit the homepage only once
+let warmingUp = null;
+
+// Request pacing shared by every NSE call (tune with configureLimiter or env vars)
+const limiter = {
+  maxConcurrent: Number(process.env.NSE_MAX_CONCURRENT) || 2,
+  requestsPerSecond: Number(process.env.NSE_REQUESTS_PER_SECOND) || 3,
+  active: 0,
+  lastStart: 0,
+  queue: [],
+  timer: null
+};
+
+// Requests currently in flight, keyed by URL and options, so identical calls share one response
+const inFlight = new Map();
+
+// On-disk response cache (tune with configureCache or NSE_CACHE_DIR)
+const cache = {
+  enabled: true,
+  offline: false,
+  dir: process.env.NSE_CACHE_DIR || ".nse-cache"
+};
+
+// How long a cached response counts as fresh, per endpoint (first match wins)
+const CACHE_TTL_RULES = [
+  { pattern: /\/quote-equity\?/, ttlMs: 60 * 1000 },
+  { pattern: /\/(allIndices|equity-stockIndices\?)/, ttlMs: 60 * 1000 },
+  { pattern: /\/option-chain-(equities|indices)\?/, ttlMs: 60 * 1000 },
+  { pattern: /\/corporate-announcements\?/, ttlMs: 15 * 60 * 1000 },
+  { pattern: /\/historical(OR)?\//, ttlMs: 60 * 60 * 1000 },
+  { pattern: /\/corporates-corporateActions\?/, ttlMs: 24 * 60 * 60 * 1000 },
+  { pattern: /\/(corporate-share-holdings(-master)?|shareholding-pattern)\?/, ttlMs: 7 * 24 * 60 * 60 * 1000 },
+  { pattern: /\/search\/autocomplete\?/, ttlMs: 24 * 60 * 60 * 1000 },
+  // BSE endpoints (bseClient.js)
+  { pattern: /\/(getScripHeaderData|ComHeadernew|HighLow)\/w\?/, ttlMs: 60 * 1000 },
+  { pattern: /\/AnnSubCategoryGetData\/w\?/, ttlMs: 15 * 60 * 1000 },
+  { pattern: /\/DefaultData\/w\?/, ttlMs: 24 * 60 * 60 * 1000 },
+  { pattern: /\/ListofScripData\/w\?/, ttlMs: 7 * 24 * 60 * 60 * 1000 }
+];
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Record/replay of request/response pairs ("cassettes") for offline fixtures
+// mode: "record" saves every response, "replay" serves only from cassettes
+const cassettes = {
+  mode: process.env.NSE_CASSETTE_MODE || null,
+  dir: process.env.NSE_CASSETTE_DIR || "fixtures/cassettes"
+};
+
+// Cache details for responses served from disk, keyed by the response object
+const cacheInfo = new WeakMap();
+
+// Default retry policy - override per call: fetchNSE(url, { retry: { retries: 1 } })
+// retryOn lists the failure kinds worth another attempt (see classifyFailure)
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  retryOn: ["session", "html", "throttle", "server", "timeout", "network"]
+};
 
 // =============================================================================
 // Public Functions
@@ -46,47 +124,435 @@ let initialized = false;
 // Warm up NSE session by visiting homepage (gets cookies)
 // Must be called before any API request
 export async function initNSE() {
-  if (initialized) return;
-
-  await client.get("https://www.nseindia.com", {
-    headers: {
-      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-      "sec-fetch-dest": "document",
-      "sec-fetch-mode": "navigate",
-      "sec-fetch-site": "none",
-      "sec-fetch-user": "?1",
-      "Upgrade-Insecure-Requests": "1"
-    }
-  });
+  if (initialized || cache.offline || cassettes.mode === "replay") return;
 
-  // Wait for session to stabilize
-  await delay(1000);
-  initialized = true;
+  if (!warmingUp) {
+    warmingUp = warmUp().finally(() => {
+      warmingUp = null;
+    });
+  }
+  await warmingUp;
 }
 
 // Fetch data from NSE API endpoint
-export async function fetchNSE(url) {
-  try {
-    const resp = await client.get(url);
-    return resp.data;
-  } catch (err) {
-    throw createNseError(err, url);
+// Fresh cached responses are returned without a request; pass { cache: false } to skip
+// the cache or { cache: { ttlMs } } to override the endpoint's freshness window
+// Retries according to the policy; stale sessions are re-warmed before the next attempt
+// Pass { retry: false } to fail on the first error, { headers } to add or override request headers,
+// { jar } to keep the response's cookies out of the NSE session (e.g. BSE's own jar)
+// Concurrent calls for the same URL and options share a single request
+export function fetchNSE(url, options = {}) {
+  const key = getInFlightKey(url, options);
+  const pending = inFlight.get(key);
+  if (pending) return pending;
+
+  const request = fetchFromSource(url, options).finally(() => {
+    inFlight.delete(key);
+  });
+  inFlight.set(key, request);
+  return request;
+}
+
+// Change the shared request budget (applies to queued requests too)
+export function configureLimiter({ maxConcurrent, requestsPerSecond } = {}) {
+  if (maxConcurrent > 0) limiter.maxConcurrent = maxConcurrent;
+  if (requestsPerSecond > 0) limiter.requestsPerSecond = requestsPerSecond;
+  pumpQueue();
+}
+
+// Change cache behaviour
+// offline: serve only from the cache (stale entries included) and never hit NSE
+export function configureCache({ enabled, offline, dir } = {}) {
+  if (enabled !== undefined) cache.enabled = Boolean(enabled);
+  if (offline !== undefined) cache.offline = Boolean(offline);
+  if (dir) cache.dir = dir;
+}
+
+// Download a file (e.g. an announcement PDF) through the shared session and limiter
+// Skips the download when the file already exists; returns "downloaded" or "exists"
+export async function downloadNSE(url, file, options = {}) {
+  if (existsSync(file)) return "exists";
+  if (cache.offline || cassettes.mode === "replay") {
+    throw createLocalError(url, "OFFLINE", "Downloads are disabled offline");
   }
+
+  await initNSE();
+  const data = await fetchWithRetry(url, { ...options, responseType: "arraybuffer" });
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, Buffer.from(data));
+  return "downloaded";
+}
+
+// Switch cassette recording/replay ("record", "replay" or null to turn off)
+export function configureCassettes({ mode, dir } = {}) {
+  if (mode !== undefined) cassettes.mode = mode || null;
+  if (dir) cassettes.dir = dir;
+}
+
+// Cassette file path for a URL (readable name derived from the path and query)
+export function getCassettePath(url, dir = cassettes.dir) {
+  const { pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`
+    .replace(/^\/api\//, "")
+    .replace(/[^A-Za-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 120);
+  const key = createHash("sha1").update(url).digest("hex").slice(0, 8);
+  return join(dir, `${slug}-${key}.json`);
+}
+
+// Cache details for a response returned by fetchNSE, or null if it came live from NSE
+// Returns { fetchedAt, ageMs, ttlMs, stale }
+export function getCacheInfo(data) {
+  if (data === null || typeof data !== "object") return null;
+  return cacheInfo.get(data) ?? null;
+}
+
+// Snapshot of the client state (session, limiter, cache, cassettes) for status pages
+export function getClientStatus() {
+  return {
+    session: {
+      initialized,
+      file: SESSION_FILE,
+      cookies: jar.getCookiesSync(NSE_HOME).length
+    },
+    limiter: {
+      maxConcurrent: limiter.maxConcurrent,
+      requestsPerSecond: limiter.requestsPerSecond,
+      active: limiter.active,
+      queued: limiter.queue.length
+    },
+    inFlight: inFlight.size,
+    cache: { ...cache },
+    cassettes: { ...cassettes }
+  };
 }
 
 // Reset session (useful if cookies expire)
+// Clears the cookie jar and deletes the saved session file
 export function resetSession() {
   initialized = false;
+  sessionStartedAt = null;
+  jar.removeAllCookiesSync();
+  savedCookies = getCookieSignature();
+  try {
+    if (existsSync(SESSION_FILE)) unlinkSync(SESSION_FILE);
+  } catch {
+    // Nothing to clean up if the file is already gone or unwritable
+  }
 }
 
 // =============================================================================
 // Helper Functions
 // =============================================================================
 
+// URL plus the options that change how it is fetched (a { cache: false } call
+// must not be handed the response of a concurrent cached one)
+function getInFlightKey(url, { cache, retry, headers, responseType } = {}) {
+  const options = JSON.stringify({ cache, retry, headers, responseType });
+  return options === "{}" ? url : `${url} ${options}`;
+}
+
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Pick where a response comes from: cassette replay, or cache/network (recorded if asked)
+async function fetchFromSource(url, options) {
+  if (cassettes.mode === "replay") return replayCassette(url);
+  if (cassettes.mode !== "record") return fetchThroughCache(url, options);
+
+  try {
+    const data = await fetchThroughCache(url, options);
+    recordCassette(url, { status: 200, data });
+    return data;
+  } catch (err) {
+    // HTTP errors are worth replaying (e.g. shareholding 404s); network failures are not
+    if (typeof err.status === "number") {
+      recordCassette(url, { status: err.status, reason: err.reason });
+    }
+    throw err;
+  }
+}
+
+// Save one request/response pair
+function recordCassette(url, response) {
+  try {
+    mkdirSync(cassettes.dir, { recursive: true });
+    const entry = { recordedAt: new Date().toISOString(), request: { method: "GET", url }, response };
+    writeFileSync(getCassettePath(url), JSON.stringify(entry, null, 2));
+  } catch {
+    // Recording must never break a live run
+  }
+}
+
+// Serve a recorded response, re-throwing recorded HTTP errors
+function replayCassette(url) {
+  const file = getCassettePath(url);
+  if (!existsSync(file)) {
+    throw createLocalError(url, "NO_CASSETTE", `No cassette for ${url}`);
+  }
+
+  const { response } = JSON.parse(readFileSync(file, "utf-8"));
+  if (response.status >= 400) {
+    throw createLocalError(url, response.status, `${response.reason} (replayed)`);
+  }
+  return response.data;
+}
+
+// Serve from the disk cache when fresh (or when offline), else fetch and store
+async function fetchThroughCache(url, options) {
+  const useCache = (cache.enabled && options.cache !== false) || cache.offline;
+  const ttlMs = options.cache?.ttlMs ?? getCacheTtl(url);
+
+  const entry = useCache ? readCache(url) : null;
+  if (entry) {
+    const ageMs = Date.now() - new Date(entry.fetchedAt).getTime();
+    const stale = !(ageMs >= 0 && ageMs < ttlMs);
+    if (!stale || cache.offline) {
+      if (entry.data !== null && typeof entry.data === "object") {
+        cacheInfo.set(entry.data, { fetchedAt: entry.fetchedAt, ageMs, ttlMs, stale });
+      }
+      return entry.data;
+    }
+  }
+
+  if (cache.offline) throw createLocalError(url, "OFFLINE", "Not in cache (offline mode)");
+
+  const data = await fetchWithRetry(url, options);
+  if (useCache) writeCache(url, data);
+  return data;
+}
+
+// Freshness window for a URL
+function getCacheTtl(url) {
+  const rule = CACHE_TTL_RULES.find(r => r.pattern.test(url));
+  return rule ? rule.ttlMs : DEFAULT_CACHE_TTL_MS;
+}
+
+// Cache file path for a URL
+function getCachePath(url) {
+  const key = createHash("sha1").update(url).digest("hex");
+  return join(cache.dir, `${key}.json`);
+}
+
+// Read a cache entry ({ url, fetchedAt, data }), or null if missing/unreadable
+function readCache(url) {
+  try {
+    const file = getCachePath(url);
+    if (!existsSync(file)) return null;
+    const entry = JSON.parse(readFileSync(file, "utf-8"));
+    return entry?.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+// Store a response in the cache (best effort)
+function writeCache(url, data) {
+  try {
+    mkdirSync(cache.dir, { recursive: true });
+    const entry = { url, fetchedAt: new Date().toISOString(), data };
+    writeFileSync(getCachePath(url), JSON.stringify(entry));
+  } catch {
+    // A read-only directory just means no cache
+  }
+}
+
+// Run one NSE request through the retry policy
+async function fetchWithRetry(url, options) {
+  const policy = resolveRetryPolicy(options.retry);
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    let err;
+    try {
+      const resp = await schedule(() => client.get(url, {
+        responseType: options.responseType,
+        headers: options.headers,
+        ...(options.jar ? { jar: options.jar } : {})
+      }));
+      if (!isHtmlResponse(resp)) {
+        if (getCookieSignature() !== savedCookies) saveSession();
+        return resp.data;
+      }
+      // NSE serves its HTML error/bot page with status 200 when it dislikes the session
+      err = { response: resp, kind: "html" };
+    } catch (requestErr) {
+      err = requestErr;
+    }
+
+    const kind = err.kind ?? classifyFailure(err);
+    attempts.push({
+      attempt,
+      kind,
+      status: err?.response?.status ?? null,
+      reason: kind === "html" ? "HTML page instead of JSON" : getFailureReason(err)
+    });
+
+    if (attempt > policy.retries || !policy.retryOn.includes(kind)) {
+      throw createNseError(err, url, attempts);
+    }
+
+    if (kind === "session" || kind === "html") {
+      resetSession();
+      try {
+        await initNSE();
+      } catch {
+        // Warm-up failed too; the next attempt will fail and be recorded
+      }
+    } else {
+      await delay(getBackoffDelay(policy, attempt, err));
+    }
+  }
+}
+
+// Queue a request behind the shared limiter
+function schedule(task) {
+  return new Promise((resolve, reject) => {
+    limiter.queue.push({ task, resolve, reject });
+    pumpQueue();
+  });
+}
+
+// Start queued requests while concurrency and the per-second budget allow
+function pumpQueue() {
+  if (limiter.timer) return;
+
+  while (limiter.queue.length && limiter.active < limiter.maxConcurrent) {
+    const wait = limiter.lastStart + 1000 / limiter.requestsPerSecond - Date.now();
+    if (wait > 0) {
+      limiter.timer = setTimeout(() => {
+        limiter.timer = null;
+        pumpQueue();
+      }, wait);
+      return;
+    }
+
+    const job = limiter.queue.shift();
+    limiter.active++;
+    limiter.lastStart = Date.now();
+    job.task()
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        limiter.active--;
+        pumpQueue();
+      });
+  }
+}
+
+// Visit the homepage so NSE sets its session cookies
+// A failure is thrown in the same shape as a failed API request (see createNseError)
+async function warmUp() {
+  try {
+    await schedule(() => client.get(NSE_HOME, {
+      headers: {
+        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        "sec-fetch-dest": "document",
+        "sec-fetch-mode": "navigate",
+        "sec-fetch-site": "none",
+        "sec-fetch-user": "?1",
+        "Upgrade-Insecure-Requests": "1"
+      }
+    }));
+  } catch (err) {
+    const kind = classifyFailure(err);
+    throw createNseError(err, NSE_HOME, [
+      { attempt: 1, kind, status: err?.response?.status ?? null, reason: getFailureReason(err) }
+    ]);
+  }
+
+  // Wait for session to stabilize
+  await delay(1000);
+  initialized = true;
+  sessionStartedAt = new Date().toISOString();
+  saveSession();
+}
+
+// Restore { jar, savedAt } from the session file, or null if missing/expired
+function loadSession() {
+  try {
+    if (!existsSync(SESSION_FILE)) return null;
+
+    const saved = JSON.parse(readFileSync(SESSION_FILE, "utf-8"));
+    const age = Date.now() - new Date(saved.savedAt).getTime();
+    if (!(age >= 0 && age < SESSION_MAX_AGE_MS)) return null;
+
+    const restoredJar = CookieJar.deserializeSync(saved.jar);
+    // getCookiesSync skips cookies whose own expiry has passed
+    return restoredJar.getCookiesSync(NSE_HOME).length > 0 ? { jar: restoredJar, savedAt: saved.savedAt } : null;
+  } catch {
+    // Corrupt or unreadable session file - start fresh
+    return null;
+  }
+}
+
+// Write the cookie jar to the session file (best effort)
+// savedAt stays at the warm-up that started the session, so NSE rotating a
+// cookie mid-session does not extend how long the file is trusted
+function saveSession() {
+  savedCookies = getCookieSignature();
+  try {
+    const data = { savedAt: sessionStartedAt ?? new Date().toISOString(), jar: jar.serializeSync() };
+    writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2));
+  } catch {
+    // Persisting is an optimisation; a read-only directory should not break fetches
+  }
+}
+
+// Cookie names and values in the jar (not their access times), to detect changes
+function getCookieSignature() {
+  return jar.serializeSync().cookies
+    .map(c => `${c.domain}|${c.path}|${c.key}=${c.value}`)
+    .sort()
+    .join("\n");
+}
+
+// Merge per-call retry options with the defaults
+function resolveRetryPolicy(retry) {
+  if (retry === false) return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  return { ...DEFAULT_RETRY_POLICY, ...retry };
+}
+
+// Classify a failed request so the retry policy can decide what to do
+// session: cookies rejected, throttle: rate limited, server: NSE-side error,
+// timeout / network: connection problems, client: bad request (not retried)
+function classifyFailure(err) {
+  const status = err?.response?.status;
+  if (status === 401 || status === 403) return "session";
+  if (status === 429) return "throttle";
+  if (status >= 500) return "server";
+  if (status) return "client";
+
+  const code = err?.code;
+  if (code === "ECONNABORTED" || code === "ETIMEDOUT") return "timeout";
+  return "network";
+}
+
+// JSON endpoints that answer with an HTML document
+function isHtmlResponse(resp) {
+  const contentType = String(resp?.headers?.["content-type"] ?? "");
+  if (contentType.includes("text/html")) return true;
+  return typeof resp?.data === "string" && /^\s*<(!doctype|html)/i.test(resp.data);
+}
+
+// Exponential backoff with jitter; honours Retry-After on 429
+function getBackoffDelay(policy, attempt, err) {
+  const retryAfter = Number(err?.response?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, policy.maxDelayMs);
+  }
+
+  const ceiling = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// Short reason for one failed attempt
+function getFailureReason(err) {
+  if (err?.response) return getErrorReason(err.response.data);
+  return err?.code ?? err?.message ?? "Unknown error";
+}
+
 // Convert HTML error page to clean text
 function stripHtml(html) {
   return String(html)
@@ -116,15 +582,30 @@ function getErrorReason(data) {
   return String(data).slice(0, 100);
 }
 
-// Create a clean error object with status, url, and reason
-function createNseError(err, url) {
-  const status = err?.response?.status;
-  const reason = getErrorReason(err?.response?.data);
-  
+// Error for a request answered locally (offline cache miss, cassette replay)
+// Same shape as createNseError so callers need no special handling
+function createLocalError(url, status, reason) {
   const error = new Error(`Request failed | status=${status} | reason=${reason}`);
   error.status = status;
   error.url = url;
   error.reason = reason;
-  
+  error.attempts = [];
+
+  return error;
+}
+
+// Create a clean error object with status, url, reason and the attempt history
+function createNseError(err, url, attempts = []) {
+  const last = attempts[attempts.length - 1];
+  const status = err?.response?.status;
+  const reason = last?.reason ?? getErrorReason(err?.response?.data);
+  const history = attempts.map(a => `#${a.attempt} ${a.kind}${a.status ? ` ${a.status}` : ""}`).join(", ");
+
+  const error = new Error(`Request failed | status=${status} | reason=${reason} | attempts=${attempts.length} (${history})`);
+  error.status = status;
+  error.url = url;
+  error.reason = reason;
+  error.attempts = attempts;
+
   return error;
 }
@@ -3,62 +3,155 @@
 // Fetches stock data from NSE and converts it to a clean format
 // =============================================================================
 
-import { initNSE, fetchNSE } from "./nseClient.js";
+import { basename, join } from "path";
+import { initNSE, fetchNSE, downloadNSE } from "./nseClient.js";
 
 const BASE_URL = "https://www.nseindia.com/api";
 
+// NSE rejects historical ranges longer than a year, so longer ranges are split
+const HISTORICAL_CHUNK_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Announcement range used when only one of from / to is given
+const DEFAULT_ANNOUNCEMENT_DAYS = 90;
+
+// Holder categories normalizeShareholding can report, in display order
+export const SHAREHOLDING_CATEGORIES = ["promoter", "fii", "dii", "public", "pledged"];
+
+// Every listed equity with its ISIN and series, refreshed daily by NSE
+const EQUITY_MASTER_URL = "https://nsearchives.nseindia.com/content/equities/EQUITY_L.csv";
+
+// Indices with traded options, under the symbols NSE's option chain expects
+export const INDEX_OPTION_SYMBOLS = ["NIFTY", "BANKNIFTY", "FINNIFTY", "MIDCPNIFTY", "NIFTYNXT50"];
+
 // =============================================================================
 // API Fetchers
 // =============================================================================
 
+// Every fetcher accepts an options object that is passed through to fetchNSE
+// (e.g. { retry: { retries: 1 } })
+
 // Get stock quote (price, P/E, market cap, etc.)
-export async function fetchQuoteEquity(symbol) {
+export async function fetchQuoteEquity(symbol, options = {}) {
   await initNSE();
-  return fetchNSE(`${BASE_URL}/quote-equity?symbol=${encode(symbol)}`);
+  return fetchNSE(`${BASE_URL}/quote-equity?symbol=${encode(symbol)}`, options);
 }
 
 // Get trade info section (volume, delivery %)
-export async function fetchQuoteEquitySection(symbol, section) {
+export async function fetchQuoteEquitySection(symbol, section, options = {}) {
   await initNSE();
-  return fetchNSE(`${BASE_URL}/quote-equity?symbol=${encode(symbol)}&section=${encode(section)}`);
+  return fetchNSE(`${BASE_URL}/quote-equity?symbol=${encode(symbol)}&section=${encode(section)}`, options);
 }
 
 // Get corporate actions (bonus, dividend, split)
-export async function fetchCorporateActions(symbol) {
+export async function fetchCorporateActions(symbol, options = {}) {
   await initNSE();
-  return fetchNSE(`${BASE_URL}/corporates-corporateActions?symbol=${encode(symbol)}&index=equities`);
+  return fetchNSE(`${BASE_URL}/corporates-corporateActions?symbol=${encode(symbol)}&index=equities`, options);
 }
 
 // Get company announcements
-export async function fetchAnnouncements(symbol) {
+// options.from / options.to (Date or "YYYY-MM-DD") ask NSE for that date range
+// instead of only the most recent filings; with one bound, to defaults to today
+// (IST) and from to DEFAULT_ANNOUNCEMENT_DAYS before to, as in bseData.js
+export async function fetchAnnouncements(symbol, options = {}) {
   await initNSE();
-  return fetchNSE(`${BASE_URL}/corporate-announcements?symbol=${encode(symbol)}&index=equities`);
+  let range = "";
+  if (options.from || options.to) {
+    const to = options.to ? toDate(options.to) : new Date(Date.now() + IST_OFFSET_MS);
+    const from = options.from ? toDate(options.from) : new Date(to.getTime() - DEFAULT_ANNOUNCEMENT_DAYS * DAY_MS);
+    range = `&from_date=${toNseDate(from)}&to_date=${toNseDate(to)}`;
+  }
+  return fetchNSE(`${BASE_URL}/corporate-announcements?index=equities&symbol=${encode(symbol)}${range}`, options);
+}
+
+// Download announcement attachments (PDFs) into dir, skipping files already there
+// announcements: output of normalizeAnnouncements
+// Returns [{ url, file, status: "downloaded" | "exists" | "failed", error }]
+export async function downloadAnnouncementAttachments(announcements, dir, options = {}) {
+  const urls = [...new Set(announcements.map(a => a.attachmentUrl).filter(Boolean))];
+
+  const results = await Promise.all(urls.map(async url => {
+    const file = join(dir, basename(new URL(url).pathname));
+    try {
+      const status = await downloadNSE(url, file, options);
+      return { url, file, status, error: null };
+    } catch (err) {
+      return { url, file, status: "failed", error: err };
+    }
+  }));
+
+  return results;
 }
 
 // Get shareholding pattern (tries multiple endpoints as NSE changes these often)
-export async function fetchShareholdingBestEffort(symbol) {
+export async function fetchShareholdingBestEffort(symbol, options = {}) {
   await initNSE();
   const sym = encode(symbol);
 
   // Try different endpoints - NSE frequently changes these
   const urls = [
+    `${BASE_URL}/corporate-share-holdings-master?index=equities&symbol=${sym}`,
     `${BASE_URL}/corporate-share-holdings?symbol=${sym}&series=EQ`,
     `${BASE_URL}/shareholding-pattern?symbol=${sym}&series=EQ`
   ];
 
-  let lastError = null;
-  for (const url of urls) {
-    try {
-      return await fetchNSE(url);
-    } catch (err) {
-      lastError = err;
-      // Continue to next URL on 4xx errors
-      if (is4xxError(err)) continue;
-      throw err;
-    }
+  return fetchFirstAvailable(urls, options, "Shareholding not available");
+}
+
+// Get daily price/volume/delivery history between two dates (Date or "YYYY-MM-DD")
+// Splits the range into chunks NSE accepts and returns the raw row arrays combined
+export async function fetchHistorical(symbol, from, to, options = {}) {
+  await initNSE();
+  const sym = encode(symbol);
+  const rows = [];
+
+  for (const [start, end] of splitDateRange(toDate(from), toDate(to), HISTORICAL_CHUNK_DAYS)) {
+    const range = `from=${toNseDate(start)}&to=${toNseDate(end)}`;
+
+    // Try different endpoints - NSE has moved this report before
+    const urls = [
+      `${BASE_URL}/historical/securityArchives?${range}&symbol=${sym}&dataType=priceVolumeDeliverable&series=ALL`,
+      `${BASE_URL}/historicalOR/generateSecurityWiseHistoricalData?${range}&symbol=${sym}&type=priceVolumeDeliverable&series=ALL`
+    ];
+
+    const chunk = await fetchFirstAvailable(urls, options);
+    rows.push(...(toArray(chunk?.data) || toArray(chunk) || []));
   }
-  
-  throw lastError ?? new Error("Shareholding not available");
+
+  return { data: rows };
+}
+
+// Search NSE symbols and company names (the search box on nseindia.com)
+export async function fetchSymbolSearch(query, options = {}) {
+  await initNSE();
+  return fetchNSE(`${BASE_URL}/search/autocomplete?q=${encode(query)}`, options);
+}
+
+// Download NSE's equity master list (EQUITY_L.csv: symbol, name, series, ISIN) to file
+// Returns "downloaded", or "exists" when the file is already there
+export async function downloadEquityMaster(file, options = {}) {
+  return downloadNSE(EQUITY_MASTER_URL, file, options);
+}
+
+// Get every NSE index with its level, breadth and valuation (P/E, P/B, dividend yield)
+export async function fetchAllIndices(options = {}) {
+  await initNSE();
+  return fetchNSE(`${BASE_URL}/allIndices`, options);
+}
+
+// Get an index's constituents with their live prices (e.g. "NIFTY BANK")
+export async function fetchIndexConstituents(indexName, options = {}) {
+  await initNSE();
+  return fetchNSE(`${BASE_URL}/equity-stockIndices?index=${encode(indexName)}`, options);
+}
+
+// Get the option chain of a stock or index, every expiry in one response
+// Index symbols (INDEX_OPTION_SYMBOLS) go to NSE's index endpoint, the rest to equities
+export async function fetchOptionChain(symbol, options = {}) {
+  await initNSE();
+  const sym = String(symbol).trim().toUpperCase();
+  const kind = INDEX_OPTION_SYMBOLS.includes(sym) ? "indices" : "equities";
+  return fetchNSE(`${BASE_URL}/option-chain-${kind}?symbol=${encode(sym)}`, options);
 }
 
 // =============================================================================
@@ -75,12 +168,74 @@ export function normalizeQuoteMetrics(quote) {
     dayLow: num(pick(quote?.priceInfo?.intraDayHighLow?.min, quote?.priceInfo?.dayLow)),
     week52High: num(pick(quote?.priceInfo?.weekHighLow?.max)),
     week52Low: num(pick(quote?.priceInfo?.weekHighLow?.min)),
+    dayChange: num(quote?.priceInfo?.change),
+    dayChangePct: num(quote?.priceInfo?.pChange),
     marketCap: getMarketCap(quote, cmp),
     peStandalone: num(pick(quote?.metadata?.pdSymbolPe, quote?.metadata?.pe)),
-    faceValue: num(pick(quote?.securityInfo?.faceValue, quote?.metadata?.faceValue))
+    faceValue: num(pick(quote?.securityInfo?.faceValue, quote?.metadata?.faceValue)),
+    ...normalizeSectorInfo(quote)
+  };
+}
+
+// Sector classification, sector P/E and index membership from quote-equity
+// NSE classifies in four levels: macro > sector > industry > basic industry
+export function normalizeSectorInfo(quote) {
+  const info = quote?.industryInfo;
+  const meta = quote?.metadata;
+  const pe = num(pick(meta?.pdSymbolPe, meta?.pe));
+  const sectorPE = num(meta?.pdSectorPe);
+
+  return {
+    macroSector: cleanText(info?.macro),
+    sector: cleanText(info?.sector),
+    industry: pick(cleanText(info?.industry), cleanText(meta?.industry), cleanText(quote?.info?.industry)),
+    basicIndustry: cleanText(info?.basicIndustry),
+    sectorIndex: cleanText(meta?.pdSectorInd),
+    sectorPE,
+    pePremiumPct: getPePremium(pe, sectorPE),
+    indices: (toArray(meta?.pdSectorIndAll) || [])
+      .map(cleanText)
+      .filter(name => name && name !== "NA")
   };
 }
 
+// Where CMP sits in the 52-week range: 0 = at the low, 100 = at the high
+// metrics: output of normalizeQuoteMetrics
+export function getWeek52Position(metrics) {
+  const { cmp, week52High: high, week52Low: low } = metrics ?? {};
+  if (cmp === null || cmp === undefined || !high || !low || high <= low) return null;
+  return Math.round(((cmp - low) / (high - low)) * 1000) / 10;
+}
+
+// Symbol search results: [{ symbol, name, series, isin }]
+// Only equities are kept (the endpoint also returns mutual funds and pages)
+export function normalizeSymbolSearch(resp) {
+  const list = toArray(resp?.symbols) || toArray(resp) || [];
+
+  return list
+    .filter(r => r?.symbol && (!r.result_type || r.result_type === "symbol"))
+    .map(r => ({
+      symbol: String(r.symbol).trim().toUpperCase(),
+      name: cleanText(pick(r.symbol_info, r.companyName, r.name)),
+      series: (toArray(r.activeSeries) || []).map(cleanText).filter(Boolean),
+      isin: cleanText(r.isin)
+    }));
+}
+
+// Equity master list (EQUITY_L.csv text): [{ symbol, name, series, isin, listingDate, faceValue }]
+export function normalizeEquityMaster(csvText) {
+  return parseCsv(csvText)
+    .filter(r => r.SYMBOL)
+    .map(r => ({
+      symbol: r.SYMBOL.toUpperCase(),
+      name: cleanText(r["NAME OF COMPANY"]),
+      series: [cleanText(r.SERIES)].filter(Boolean),
+      isin: cleanText(r["ISIN NUMBER"]),
+      listingDate: parseNseDate(r["DATE OF LISTING"]),
+      faceValue: num(r["FACE VALUE"])
+    }));
+}
+
 // Extract trade metrics (volume, delivery %, volatility)
 export function normalizeTradeInfoMetrics(resp) {
   const tradeInfo = resp?.marketDeptOrderBook?.tradeInfo ?? resp?.tradeInfo ?? resp;
@@ -109,11 +264,375 @@ export function normalizeCorporateActionsLatest(resp) {
   return list[0] ?? null;
 }
 
+// Index level, breadth and valuation for one index
+// allIndices: fetchAllIndices response; constituents (optional): fetchIndexConstituents
+// response, used for breadth when allIndices lacks it
+export function normalizeIndexQuote(allIndices, indexName, constituents = null) {
+  const list = toArray(allIndices?.data) || toArray(allIndices) || [];
+  const wanted = String(indexName).trim().toUpperCase();
+  const row = list.find(r => String(pick(r?.index, r?.indexSymbol) ?? "").toUpperCase() === wanted);
+  const meta = constituents?.metadata;
+  const breadth = constituents?.advance;
+
+  if (!row && !meta) return null;
+
+  return {
+    name: pick(row?.index, meta?.indexName, indexName),
+    last: num(pick(row?.last, meta?.last)),
+    change: num(pick(row?.variation, meta?.change)),
+    changePct: num(pick(row?.percentChange, meta?.percChange)),
+    open: num(pick(row?.open, meta?.open)),
+    high: num(pick(row?.high, meta?.high)),
+    low: num(pick(row?.low, meta?.low)),
+    previousClose: num(pick(row?.previousClose, meta?.previousClose)),
+    week52High: num(pick(row?.yearHigh, meta?.yearHigh)),
+    week52Low: num(pick(row?.yearLow, meta?.yearLow)),
+    advances: num(pick(row?.advances, breadth?.advances)),
+    declines: num(pick(row?.declines, breadth?.declines)),
+    unchanged: num(pick(row?.unchanged, breadth?.unchanged)),
+    pe: num(row?.pe),
+    pb: num(row?.pb),
+    dividendYield: num(row?.dy)
+  };
+}
+
+// Index constituents, each run through normalizeQuoteMetrics
+// Returns [{ symbol, ...quote metrics, volume }] (the index's own summary row is dropped)
+export function normalizeIndexConstituents(resp) {
+  const list = toArray(resp?.data) || [];
+  const indexName = resp?.metadata?.indexName ?? resp?.name;
+
+  return list
+    .filter(r => r?.symbol && r.symbol !== indexName && r.priority !== 1)
+    .map(r => ({
+      symbol: r.symbol,
+      ...normalizeQuoteMetrics(toQuoteShape(r)),
+      volume: num(r.totalTradedVolume)
+    }));
+}
+
+// Option chain as one row per expiry and strike, calls and puts side by side
+// Returns { symbol, underlyingValue, timestamp, expiries, rows: [{ expiry, strike, ce, pe }] }
+// expiry is "YYYY-MM-DD"; ce / pe are { oi, changeInOi, iv, ltp, volume }, or null when
+// the strike has no contract on that side. Rows are sorted by expiry, then strike
+export function normalizeOptionChain(resp) {
+  const records = resp?.records ?? resp;
+  const list = toArray(records?.data) || [];
+
+  const rows = list.map(r => ({
+    expiry: toIsoDate(parseNseDate(pick(r?.expiryDate, r?.CE?.expiryDate, r?.PE?.expiryDate))),
+    strike: num(pick(r?.strikePrice, r?.CE?.strikePrice, r?.PE?.strikePrice)),
+    ce: normalizeOptionSide(r?.CE),
+    pe: normalizeOptionSide(r?.PE)
+  }))
+    .filter(r => r.expiry && r.strike !== null)
+    .sort((a, b) => a.expiry.localeCompare(b.expiry) || a.strike - b.strike);
+
+  const listed = (toArray(records?.expiryDates) || []).map(d => toIsoDate(parseNseDate(d))).filter(Boolean);
+  const expiries = [...new Set(listed.length ? listed : rows.map(r => r.expiry))].sort();
+  const sample = list.find(r => r?.CE || r?.PE);
+
+  return {
+    symbol: pick(sample?.CE?.underlying, sample?.PE?.underlying),
+    underlyingValue: num(pick(records?.underlyingValue, sample?.CE?.underlyingValue, sample?.PE?.underlyingValue)),
+    timestamp: parseNseDateTime(records?.timestamp),
+    expiries,
+    rows
+  };
+}
+
+// Positioning for one expiry of a normalized option chain
+// expiry: Date or date string, defaults to the nearest expiry with contracts
+// Returns { expiry, underlyingValue, atmStrike, atmIv, totalCallOI, totalPutOI, pcr, pcrVolume,
+// maxPain, support, resistance } or null when the expiry has no strikes.
+// support / resistance: the 3 strikes with the highest put / call OI, largest first,
+// as [{ strike, oi }] (option writers tend to defend them)
+export function summarizeOptionChain(chain, expiry = null) {
+  const wanted = expiry ? toIsoDate(toDate(expiry)) : chain.rows[0]?.expiry;
+  const rows = chain.rows.filter(r => r.expiry === wanted);
+  if (rows.length === 0) return null;
+
+  const totalCallOI = sumOf(rows, r => r.ce?.oi);
+  const totalPutOI = sumOf(rows, r => r.pe?.oi);
+  const callVolume = sumOf(rows, r => r.ce?.volume);
+  const putVolume = sumOf(rows, r => r.pe?.volume);
+
+  const spot = chain.underlyingValue;
+  const atm = spot === null
+    ? null
+    : rows.reduce((best, r) => (Math.abs(r.strike - spot) < Math.abs(best.strike - spot) ? r : best));
+
+  return {
+    expiry: wanted,
+    underlyingValue: spot,
+    atmStrike: atm?.strike ?? null,
+    atmIv: {
+      ce: atm?.ce?.iv ?? null,
+      pe: atm?.pe?.iv ?? null,
+      avg: averageOf([atm?.ce?.iv, atm?.pe?.iv])
+    },
+    totalCallOI,
+    totalPutOI,
+    pcr: totalCallOI ? Math.round((totalPutOI / totalCallOI) * 100) / 100 : null,
+    pcrVolume: callVolume ? Math.round((putVolume / callVolume) * 100) / 100 : null,
+    maxPain: getMaxPain(rows),
+    support: topOpenInterest(rows, "pe", 3),
+    resistance: topOpenInterest(rows, "ce", 3)
+  };
+}
+
+// Full corporate actions history as typed events, newest ex-date first
+// A subject can hold several actions ("Final Dividend - Rs 19.50 Per Share/Special Dividend - Rs 5 Per Share"),
+// each becomes its own event. See parseCorporateActionSubject for the event shape.
+export function normalizeCorporateActions(resp) {
+  const list = toArray(resp?.data) || toArray(resp) || [];
+  const events = [];
+
+  for (const item of list) {
+    const exDate = parseNseDate(item?.exDate);
+    const recordDate = parseNseDate(item?.recDate);
+    const faceValue = num(item?.faceVal);
+
+    for (const part of splitActionSubject(item?.subject)) {
+      events.push({
+        ...parseCorporateActionSubject(part, faceValue),
+        exDate,
+        recordDate,
+        symbol: item?.symbol ?? null,
+        series: item?.series ?? null
+      });
+    }
+  }
+
+  return events.sort((a, b) => (b.exDate?.getTime() ?? 0) - (a.exDate?.getTime() ?? 0));
+}
+
+// Parse one corporate action subject into a typed event
+// { type, subject, dividendKind, amount, ratio: { offered, held }, faceValue: { from, to } }
+// type: dividend | bonus | split | consolidation | rights | buyback | demerger | agm | interest | redemption | other
+// amount: dividend per share, or the rupee figure quoted for rights/buyback
+export function parseCorporateActionSubject(subject, faceValue = null) {
+  const text = String(subject ?? "").trim();
+  const event = { type: "other", subject: text, dividendKind: null, amount: null, ratio: null, faceValue: null };
+
+  if (/dividend/i.test(text)) {
+    event.type = "dividend";
+    event.dividendKind = text.match(/\b(interim|final|special)\b/i)?.[1]?.toLowerCase() ?? null;
+    event.amount = parseRupees(text);
+    // Older entries quote dividends as a percentage of face value ("Dividend - 150%")
+    const pct = num(text.match(/([\d.]+)\s*%/)?.[1]);
+    if (event.amount === null && pct !== null && faceValue) {
+      event.amount = Math.round(faceValue * pct) / 100;
+    }
+  } else if (/bonus/i.test(text)) {
+    event.type = "bonus";
+    event.ratio = parseRatio(text);
+  } else if (/split|sub-?division/i.test(text)) {
+    event.type = "split";
+    event.faceValue = parseFaceValueChange(text);
+  } else if (/consolidat/i.test(text)) {
+    event.type = "consolidation";
+    event.faceValue = parseFaceValueChange(text);
+  } else if (/rights/i.test(text)) {
+    event.type = "rights";
+    event.ratio = parseRatio(text);
+    event.amount = parseRupees(text);
+  } else if (/buy\s*-?\s*back/i.test(text)) {
+    event.type = "buyback";
+    event.amount = parseRupees(text);
+  } else if (/demerger|scheme of arrangement/i.test(text)) {
+    event.type = "demerger";
+  } else if (/general meeting|\bagm\b/i.test(text)) {
+    event.type = "agm";
+  } else if (/interest payment/i.test(text)) {
+    event.type = "interest";
+  } else if (/redemption/i.test(text)) {
+    event.type = "redemption";
+  }
+
+  return event;
+}
+
+// Dividend per share paid in the year before asOf, and the yield at cmp
+// events: output of normalizeCorporateActions
+export function summarizeDividends(events, cmp, asOf = new Date()) {
+  const yearAgo = new Date(asOf.getTime() - 365 * DAY_MS);
+  const trailing = events.filter(e =>
+    e.type === "dividend" && e.amount !== null && e.exDate && e.exDate > yearAgo && e.exDate <= asOf
+  );
+
+  const perShare = Math.round(trailing.reduce((sum, e) => sum + e.amount, 0) * 100) / 100;
+  return {
+    trailingDividendPerShare: perShare,
+    dividendYield: cmp ? Math.round((perShare / cmp) * 10000) / 100 : null,
+    dividendsCounted: trailing.length
+  };
+}
+
+// Quarter-wise shareholding with quarter-over-quarter changes, from whichever
+// endpoint fetchShareholdingBestEffort reached
+// Returns { quarters: [{ quarter, date, promoter, fii, dii, public, pledged, change }], latest, categories }
+// (oldest quarter first; change holds the percentage-point move vs the previous quarter)
+// categories lists the holder fields the payload reports; the others are left out of every
+// row, since share-holdings-master only has promoter and public totals (no FII/DII split)
+export function normalizeShareholding(resp) {
+  const list = toArray(resp?.data) || toArray(resp?.rows) || toArray(resp) || [];
+
+  const rows = list.map(item => {
+    const date = parseNseDate(pick(item?.date, item?.asOnDate, item?.shp_date, item?.quarterEnding, item?.period));
+    return {
+      quarter: date ? `${MONTH_LABELS[date.getUTCMonth()]} ${date.getUTCFullYear()}` : null,
+      date,
+      promoter: num(pick(item?.pr_and_prgrp, item?.promoterAndPromoterGroup, item?.promoter, item?.promoters)),
+      fii: num(pick(item?.fii, item?.fiis, item?.fpi, item?.foreignPortfolioInvestors)),
+      dii: num(pick(item?.dii, item?.diis, item?.domesticInstitutions)),
+      public: num(pick(item?.public_val, item?.publicShareholding, item?.public, item?.nonPromoter)),
+      pledged: num(pick(item?.pledged, item?.pledgedPct, item?.promoterPledged, item?.pledge_per))
+    };
+  }).filter(r => r.date);
+
+  // Several filings per quarter (revisions) keep the last one listed
+  const byQuarter = new Map();
+  for (const row of rows) byQuarter.set(row.quarter, row);
+  const quarters = [...byQuarter.values()].sort((a, b) => a.date - b.date);
+
+  const categories = SHAREHOLDING_CATEGORIES.filter(f => quarters.some(q => q[f] !== null));
+  const missing = SHAREHOLDING_CATEGORIES.filter(f => !categories.includes(f));
+  quarters.forEach((row, i) => {
+    const prev = quarters[i - 1];
+    for (const f of missing) delete row[f];
+    row.change = Object.fromEntries(categories.map(f => [f, prev ? pointChange(prev[f], row[f]) : null]));
+  });
+
+  return { quarters, latest: quarters[quarters.length - 1] ?? null, categories };
+}
+
+// Convert historical rows to daily OHLCV + delivery, oldest first
+// Keeps EQ series rows when present (series=ALL also returns BE/BL trades)
+export function normalizeHistorical(resp) {
+  const list = toArray(resp?.data) || toArray(resp) || [];
+
+  const rows = list.map(r => ({
+    date: toIsoDate(parseNseDate(pick(r?.CH_TIMESTAMP, r?.mTIMESTAMP, r?.TIMESTAMP))),
+    series: pick(r?.CH_SERIES, r?.series),
+    open: num(pick(r?.CH_OPENING_PRICE, r?.open)),
+    high: num(pick(r?.CH_TRADE_HIGH_PRICE, r?.high)),
+    low: num(pick(r?.CH_TRADE_LOW_PRICE, r?.low)),
+    close: num(pick(r?.CH_CLOSING_PRICE, r?.close)),
+    lastPrice: num(pick(r?.CH_LAST_TRADED_PRICE, r?.ltp)),
+    prevClose: num(pick(r?.CH_PREVIOUS_CLS_PRICE, r?.prevClose)),
+    volume: num(pick(r?.CH_TOT_TRADED_QTY, r?.volume)),
+    turnover: num(pick(r?.CH_TOT_TRADED_VAL, r?.turnover)),
+    trades: num(pick(r?.CH_TOTAL_TRADES, r?.trades)),
+    deliveryQty: num(pick(r?.COP_DELIV_QTY, r?.deliveryQty)),
+    deliveryPct: num(pick(r?.COP_DELIV_PERC, r?.deliveryPct))
+  })).filter(r => r.date);
+
+  const hasEq = rows.some(r => r.series === "EQ");
+  const byDate = new Map();
+  for (const row of rows) {
+    if (hasEq && row.series !== "EQ") continue;
+    byDate.set(row.date, row); // Overlapping chunks repeat the boundary day
+  }
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Average volume and delivery over recent sessions (null if not enough history)
+// rows: output of normalizeHistorical (oldest first)
+export function summarizeHistorical(rows) {
+  return {
+    days: rows.length,
+    avgVolume10d: averageOfLast(rows, 10, r => r.volume),
+    avgVolume20d: averageOfLast(rows, 20, r => r.volume),
+    avgVolume50d: averageOfLast(rows, 50, r => r.volume),
+    avgDeliveryPct10d: deliveryPctOfLast(rows, 10),
+    avgDeliveryPct20d: deliveryPctOfLast(rows, 20)
+  };
+}
+
 // Get latest announcement headline
 export function normalizeAnnouncementsHeadline(resp) {
   const list = toArray(resp?.data) || toArray(resp?.rows) || toArray(resp) || [];
   const first = list[0];
-  return first?.subject ?? first?.headline ?? first?.title ?? null;
+  return first?.subject ?? first?.headline ?? first?.title ?? first?.desc ?? null;
+}
+
+// Full announcements list, newest first
+// { id, date, category, description, attachmentUrl, symbol, company }
+export function normalizeAnnouncements(resp) {
+  const list = toArray(resp?.data) || toArray(resp?.rows) || toArray(resp) || [];
+
+  return list.map(item => ({
+    id: item?.seq_id ?? null,
+    date: parseNseDateTime(pick(item?.sort_date, item?.an_dt, item?.exchdisstime)),
+    category: pick(item?.desc, item?.subject, item?.headline) ?? null,
+    description: cleanText(pick(item?.attchmntText, item?.details, item?.title)),
+    attachmentUrl: toAttachmentUrl(item?.attchmntFile),
+    symbol: item?.symbol ?? null,
+    company: item?.sm_name ?? null
+  })).sort((a, b) => (b.date?.getTime() ?? 0) - (a.date?.getTime() ?? 0));
+}
+
+// Category presets for filterAnnouncements (matched against category and description)
+export const ANNOUNCEMENT_CATEGORIES = {
+  "board-meeting": /board meeting/i,
+  results: /financial results?|\bresults?\b/i,
+  outcome: /outcome/i,
+  "insider-trading": /insider trading|trading window|\bpit\b/i,
+  "credit-rating": /credit rating|\brating\b/i
+};
+
+// Filter normalized announcements
+// from / to: Date or "YYYY-MM-DD" (inclusive IST days), category: preset key or free text,
+// keyword: case-insensitive text to find in category or description
+export function filterAnnouncements(announcements, { from, to, category, keyword } = {}) {
+  // Announcement dates are exact instants, so the day bounds start at IST midnight
+  const start = from ? new Date(toDate(from).getTime() - IST_OFFSET_MS) : null;
+  const end = to ? new Date(toDate(to).getTime() + DAY_MS - IST_OFFSET_MS) : null;
+  const categoryPattern = category
+    ? ANNOUNCEMENT_CATEGORIES[category] ?? new RegExp(escapeRegExp(category), "i")
+    : null;
+  const needle = keyword ? String(keyword).toLowerCase() : null;
+
+  return announcements.filter(a => {
+    const text = `${a.category ?? ""} ${a.description ?? ""}`;
+    if (start && !(a.date && a.date >= start)) return false;
+    if (end && !(a.date && a.date < end)) return false;
+    if (categoryPattern && !categoryPattern.test(text)) return false;
+    if (needle && !text.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+}
+
+// =============================================================================
+// Market Hours
+// =============================================================================
+
+// Normal equity session in IST, Monday to Friday (minutes after midnight)
+// Exchange holidays and special sessions are not known here
+const MARKET_OPEN_MINUTES = 9 * 60 + 15;
+const MARKET_CLOSE_MINUTES = 15 * 60 + 30;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Whether the equity market is open at `now`, and the instant the next session opens
+// Returns { open, closesAt, nextOpen } - closesAt is null while closed
+export function getMarketSession(now = new Date()) {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const minutes = ist.getUTCHours() * 60 + ist.getUTCMinutes();
+  const weekday = ist.getUTCDay() >= 1 && ist.getUTCDay() <= 5;
+  const sessionAt = (days, mins) =>
+    new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + days, 0, mins) - IST_OFFSET_MS);
+
+  const open = weekday && minutes >= MARKET_OPEN_MINUTES && minutes < MARKET_CLOSE_MINUTES;
+  let days = weekday && minutes < MARKET_OPEN_MINUTES ? 0 : 1;
+  while ([0, 6].includes(new Date(ist.getTime() + days * DAY_MS).getUTCDay())) days++;
+
+  return {
+    open,
+    closesAt: open ? sessionAt(0, MARKET_CLOSE_MINUTES) : null,
+    nextOpen: sessionAt(days, MARKET_OPEN_MINUTES)
+  };
 }
 
 // =============================================================================
@@ -147,6 +666,278 @@ function toArray(val) {
   return Array.isArray(val) ? val : null;
 }
 
+// P/E premium (+) or discount (-) against the sector P/E, in %
+function getPePremium(pe, sectorPE) {
+  if (pe === null || !sectorPE || sectorPE <= 0) return null;
+  return Math.round((pe / sectorPE - 1) * 10000) / 100;
+}
+
+// CSV text to row objects keyed by the (trimmed) header; handles quoted cells
+function parseCsv(text) {
+  const lines = String(text ?? "").split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map(h => h.trim());
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, (cells[i] ?? "").trim()]));
+  });
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// Fetch the first URL that answers, moving on only when one returns 4xx
+async function fetchFirstAvailable(urls, options, notFoundMessage = "Data not available") {
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      return await fetchNSE(url, options);
+    } catch (err) {
+      lastError = err;
+      // Continue to next URL on 4xx errors
+      if (is4xxError(err)) continue;
+      throw err;
+    }
+  }
+
+  throw lastError ?? new Error(notFoundMessage);
+}
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MONTHS = MONTH_LABELS.map(m => m.toLowerCase());
+
+// Parse NSE date strings ("26-Aug-2025", "2025-08-26", "26-08-2025", "26 Aug 2025")
+// Returns a Date at UTC midnight, or null
+function parseNseDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (!value || typeof value !== "string") return null;
+
+  const str = value.trim();
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return utcDate(+m[1], +m[2], +m[3]);
+
+  m = str.match(/^(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/](\d{4})/);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    return month ? utcDate(+m[3], month, +m[1]) : null;
+  }
+
+  m = str.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})/);
+  if (m) return utcDate(+m[3], +m[2], +m[1]);
+
+  return null;
+}
+
+// null when the day or month is out of range ("2025-02-30", "2025-13-01")
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+}
+
+// Parse NSE date-time strings ("2025-12-18 19:45:12", "18-Dec-2025 19:45:12")
+// Times are IST; returns the exact instant as a Date, or null
+function parseNseDateTime(value) {
+  const date = parseNseDate(value);
+  if (!date) return null;
+
+  const m = String(value).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return date;
+
+  const IST_OFFSET_MINUTES = 330;
+  const minutes = Number(m[1]) * 60 + Number(m[2]) - IST_OFFSET_MINUTES;
+  return new Date(date.getTime() + minutes * 60 * 1000 + Number(m[3] ?? 0) * 1000);
+}
+
+// Accept Date or date string
+function toDate(value) {
+  const date = value instanceof Date ? value : parseNseDate(String(value));
+  if (!date) throw new Error(`Invalid date: ${value}`);
+  return date;
+}
+
+// "YYYY-MM-DD" (null-safe)
+function toIsoDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// "DD-MM-YYYY" as NSE's historical endpoints expect
+function toNseDate(date) {
+  const [y, m, d] = toIsoDate(date).split("-");
+  return `${d}-${m}-${y}`;
+}
+
+// Split [from, to] into consecutive ranges of at most maxDays days
+function splitDateRange(from, to, maxDays) {
+  const ranges = [];
+  let start = from;
+  while (start <= to) {
+    const end = new Date(Math.min(start.getTime() + (maxDays - 1) * DAY_MS, to.getTime()));
+    ranges.push([start, end]);
+    start = new Date(end.getTime() + DAY_MS);
+  }
+  return ranges;
+}
+
+// Percentage-point difference, rounded to 2 decimals (null if either side missing)
+function pointChange(prev, curr) {
+  if (prev === null || curr === null) return null;
+  return Math.round((curr - prev) * 100) / 100;
+}
+
+// Average of a field over the last n rows (null if fewer rows or missing values)
+function averageOfLast(rows, n, getValue) {
+  if (rows.length < n) return null;
+  const values = rows.slice(-n).map(getValue);
+  if (values.some(v => v === null)) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / n);
+}
+
+// Delivery % over the last n rows, weighted by traded volume
+function deliveryPctOfLast(rows, n) {
+  if (rows.length < n) return null;
+  const recent = rows.slice(-n);
+  const volume = recent.reduce((sum, r) => sum + (r.volume ?? 0), 0);
+  const delivered = recent.reduce((sum, r) => sum + (r.deliveryQty ?? 0), 0);
+  if (!volume || recent.some(r => r.deliveryQty === null)) return null;
+  return Math.round((delivered / volume) * 10000) / 100;
+}
+
+// One side (CE or PE) of an option chain row
+// NSE reports IV as 0 for contracts that have not traded, which is no IV at all
+function normalizeOptionSide(side) {
+  if (!side) return null;
+  const iv = num(side.impliedVolatility);
+  return {
+    oi: num(side.openInterest),
+    changeInOi: num(side.changeinOpenInterest),
+    iv: iv ? iv : null,
+    ltp: num(side.lastPrice),
+    volume: num(side.totalTradedVolume)
+  };
+}
+
+// Expiry price at which option holders recover the least: for each strike as
+// the settlement price, sum what every open call and put would pay out, keep the minimum
+function getMaxPain(rows) {
+  let best = null;
+  for (const { strike: settle } of rows) {
+    const payout = rows.reduce((sum, r) =>
+      sum +
+      (r.ce?.oi ?? 0) * Math.max(0, settle - r.strike) +
+      (r.pe?.oi ?? 0) * Math.max(0, r.strike - settle), 0);
+    if (!best || payout < best.payout) best = { strike: settle, payout };
+  }
+  return best?.strike ?? null;
+}
+
+// The n strikes with the highest open interest on one side, largest first
+function topOpenInterest(rows, side, n) {
+  return rows
+    .filter(r => r[side]?.oi)
+    .sort((a, b) => b[side].oi - a[side].oi)
+    .slice(0, n)
+    .map(r => ({ strike: r.strike, oi: r[side].oi }));
+}
+
+function sumOf(rows, getValue) {
+  return rows.reduce((sum, r) => sum + (getValue(r) ?? 0), 0);
+}
+
+// Mean of the non-null values, rounded to 2 decimals (null if none)
+function averageOf(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, v) => sum + v, 0) / present.length) * 100) / 100;
+}
+
+// Collapse whitespace; null for empty strings
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, " ").trim();
+  return text || null;
+}
+
+// NSE gives attachment paths either absolute or relative to its archive host
+function toAttachmentUrl(file) {
+  const path = cleanText(file);
+  if (!path || path === "-") return null;
+  if (/^https?:\/\//i.test(path)) return path;
+  return `https://nsearchives.nseindia.com/corporate/${path.replace(/^\/+/, "")}`;
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Split a corporate action subject into its individual actions
+// "/" separates actions, but "Rs 10/- Per Share" must stay intact
+function splitActionSubject(subject) {
+  if (!subject) return [];
+  return String(subject)
+    .split(/\s*\/\s*(?=[A-Za-z])/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// First rupee amount in text ("Rs 19.50", "Rs.2", "Re 1", "Rs 1247/-")
+function parseRupees(text) {
+  return num(String(text).match(/\bR[se]\.?\s*([\d,]+(?:\.\d+)?)/i)?.[1]);
+}
+
+// "1:1", "3:10" -> { offered, held }
+function parseRatio(text) {
+  const m = String(text).match(/(\d+)\s*:\s*(\d+)/);
+  return m ? { offered: Number(m[1]), held: Number(m[2]) } : null;
+}
+
+// "From Rs 10/- Per Share To Rs 2/- Per Share" -> { from: 10, to: 2 }
+function parseFaceValueChange(text) {
+  const m = String(text).match(/from\s+R[se]\.?\s*([\d.]+)[\s\S]*?to\s+R[se]\.?\s*([\d.]+)/i);
+  return m ? { from: Number(m[1]), to: Number(m[2]) } : null;
+}
+
+// Re-shape a flat price row (index constituents) like a quote-equity response
+function toQuoteShape(row) {
+  return {
+    priceInfo: {
+      lastPrice: row.lastPrice,
+      change: row.change,
+      pChange: row.pChange,
+      intraDayHighLow: { max: row.dayHigh, min: row.dayLow },
+      weekHighLow: { max: row.yearHigh, min: row.yearLow }
+    },
+    metadata: { pe: row.meta?.pe ?? row.pe },
+    securityInfo: { faceValue: row.meta?.faceValue, issuedSize: row.meta?.issuedSize }
+  };
+}
+
 // Check if error is a 4xx HTTP error
 function is4xxError(err) {
   const status = String(err?.status ?? "");
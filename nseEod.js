@@ -0,0 +1,364 @@
+// =============================================================================
+// NSE End-of-Day Store
+// Imports NSE's daily bhavcopy and security-wise delivery archives (CSV, DAT
+// or ZIP as downloaded) into a local per-date store, so volume and delivery
+// for any symbol can be read back without a live API call
+// =============================================================================
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { basename, join } from "path";
+import { inflateRawSync } from "zlib";
+import { summarizeHistorical } from "./nseData.js";
+
+// One JSON file per trading date: <dir>/YYYY-MM-DD.json
+export const EOD_DIR = process.env.NSE_EOD_DIR || ".nse-eod";
+
+// Equity series kept (EQ, trade-for-trade BE/BZ, SME SM/ST); bonds, G-secs etc. are dropped
+const EQUITY_SERIES = new Set(["EQ", "BE", "BZ", "SM", "ST"]);
+
+// Fields of a stored record returned as history rows, in normalizeHistorical order
+// (records also keep the ISIN when the file has one)
+const RECORD_FIELDS = [
+  "series", "open", "high", "low", "close", "lastPrice", "prevClose",
+  "volume", "turnover", "trades", "deliveryQty", "deliveryPct"
+];
+
+// =============================================================================
+// Import
+// =============================================================================
+
+// Import one downloaded file into the store
+// ZIP archives are unpacked; each file's format is detected from its content
+// Returns [{ file, kind, date, symbols }]; throws on unreadable or unrecognised files
+export function importEodFile(path, options = {}) {
+  const dir = options.dir ?? EOD_DIR;
+  const buffer = readFileSync(path);
+  const files = isZip(buffer)
+    ? readZipEntries(buffer).map(entry => ({ name: `${basename(path)}:${entry.name}`, text: entry.data.toString("utf-8") }))
+    : [{ name: basename(path), text: buffer.toString("utf-8") }];
+
+  return files.map(({ name, text }) => {
+    const parsed = parseEodFile(text);
+    if (!parsed) throw new Error(`Not a bhavcopy or delivery file: ${name}`);
+    const symbols = storeEodRecords(parsed, name, dir);
+    return { file: name, kind: parsed.kind, date: parsed.date, symbols };
+  });
+}
+
+// Parse one bhavcopy / delivery file's text
+// Returns { kind, date, records: [{ symbol, ...fields }] }, or null for an unknown format
+// kind: "udiff" (BhavCopy_NSE_CM_*.csv), "bhavcopy" (cmDDMMMYYYYbhav.csv),
+// "full" (sec_bhavdata_full_*.csv, with delivery), "delivery" (MTO_*.DAT)
+export function parseEodFile(text) {
+  const lines = String(text ?? "").split(/\r?\n/).filter(line => line.trim());
+  const header = lines[0] ?? "";
+
+  if (/Security Wise Delivery Position/i.test(header) || /^10,MTO,/.test(header)) {
+    return parseDeliveryReport(lines);
+  }
+
+  const format = CSV_FORMATS.find(f => f.detect.test(header));
+  if (!format) return null;
+
+  const columns = splitCsvLine(header).map(h => h.trim());
+  const records = lines.slice(1)
+    .map(line => Object.fromEntries(splitCsvLine(line).map((cell, i) => [columns[i], cell.trim()])))
+    .filter(row => !format.keep || format.keep(row))
+    .map(row => ({ date: parseEodDate(row[format.date]), ...format.toRecord(row) }))
+    .filter(r => r.symbol && r.date && EQUITY_SERIES.has(r.series));
+
+  const date = records[0]?.date ?? null;
+  return date ? { kind: format.kind, date, records: records.filter(r => r.date === date) } : null;
+}
+
+// =============================================================================
+// Read
+// =============================================================================
+
+// Daily rows per symbol from the store, oldest first, in the normalizeHistorical
+// shape ({ date, series, open, high, low, close, ..., deliveryQty, deliveryPct })
+// Only the latest `days` stored dates are read; a symbol missing on a date has no row
+// Returns Map(symbol -> rows)
+export function loadEodHistory(symbols, options = {}) {
+  const dir = options.dir ?? EOD_DIR;
+  const wanted = symbols.map(s => String(s).trim().toUpperCase());
+  const history = new Map(wanted.map(s => [s, []]));
+
+  for (const date of listEodDates(dir).slice(-(options.days ?? 50))) {
+    const day = readDay(join(dir, `${date}.json`));
+    for (const symbol of wanted) {
+      const record = day?.records?.[symbol];
+      if (!record) continue;
+      history.get(symbol).push({
+        date,
+        ...Object.fromEntries(RECORD_FIELDS.map(f => [f, record[f] ?? null]))
+      });
+    }
+  }
+  return history;
+}
+
+// Stored dates, oldest first ("YYYY-MM-DD")
+export function listEodDates(dir = EOD_DIR) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+    .map(name => name.slice(0, 10))
+    .sort();
+}
+
+// Latest session plus averages (summarizeHistorical) for stored rows, or null if there are none
+// Volume is compared with the 20 sessions before it, so a spike does not dilute its own baseline
+export function summarizeEod(rows) {
+  const latest = rows.at(-1);
+  if (!latest) return null;
+
+  const prior = summarizeHistorical(rows.slice(0, -1)).avgVolume20d;
+  return {
+    ...summarizeHistorical(rows),
+    date: latest.date,
+    close: latest.close,
+    changePct: getEodChangePct(latest),
+    volume: latest.volume,
+    deliveryQty: latest.deliveryQty,
+    deliveryPct: latest.deliveryPct,
+    volumeVsAvg20d: prior && latest.volume !== null ? round2(latest.volume / prior) : null
+  };
+}
+
+// Close against the previous close in % (null without both)
+export function getEodChangePct(row) {
+  if (row.close === null || !row.prevClose) return null;
+  return round2(((row.close - row.prevClose) / row.prevClose) * 100);
+}
+
+// =============================================================================
+// Formats
+// =============================================================================
+
+// CSV layouts NSE has published, detected by a column only that layout has
+const CSV_FORMATS = [
+  {
+    kind: "udiff",
+    detect: /\bTckrSymb\b/,
+    date: "TradDt",
+    keep: row => !row.Sgmt || row.Sgmt === "CM",
+    toRecord: row => ({
+      symbol: row.TckrSymb,
+      series: row.SctySrs,
+      open: num(row.OpnPric),
+      high: num(row.HghPric),
+      low: num(row.LwPric),
+      close: num(row.ClsPric),
+      lastPrice: num(row.LastPric),
+      prevClose: num(row.PrvsClsgPric),
+      volume: num(row.TtlTradgVol),
+      turnover: num(row.TtlTrfVal),
+      trades: num(row.TtlNbOfTxsExctd),
+      isin: row.ISIN || null
+    })
+  },
+  {
+    kind: "full",
+    detect: /\bDELIV_QTY\b/,
+    date: "DATE1",
+    toRecord: row => ({
+      symbol: row.SYMBOL,
+      series: row.SERIES,
+      open: num(row.OPEN_PRICE),
+      high: num(row.HIGH_PRICE),
+      low: num(row.LOW_PRICE),
+      close: num(row.CLOSE_PRICE),
+      lastPrice: num(row.LAST_PRICE),
+      prevClose: num(row.PREV_CLOSE),
+      volume: num(row.TTL_TRD_QNTY),
+      // Turnover is in lakhs in this file
+      turnover: num(row.TURNOVER_LACS) === null ? null : Math.round(num(row.TURNOVER_LACS) * 1e5),
+      trades: num(row.NO_OF_TRADES),
+      deliveryQty: num(row.DELIV_QTY),
+      deliveryPct: num(row.DELIV_PER)
+    })
+  },
+  {
+    kind: "bhavcopy",
+    detect: /\bTOTTRDQTY\b/,
+    date: "TIMESTAMP",
+    toRecord: row => ({
+      symbol: row.SYMBOL,
+      series: row.SERIES,
+      open: num(row.OPEN),
+      high: num(row.HIGH),
+      low: num(row.LOW),
+      close: num(row.CLOSE),
+      lastPrice: num(row.LAST),
+      prevClose: num(row.PREVCLOSE),
+      volume: num(row.TOTTRDQTY),
+      turnover: num(row.TOTTRDVAL),
+      trades: num(row.TOTALTRADES),
+      isin: row.ISIN || null
+    })
+  }
+];
+
+// MTO_DDMMYYYY.DAT: a title line, "10,MTO,<DDMMYYYY>,..." then one
+// "20,<sr no>,<symbol>,<series>,<traded qty>,<deliverable qty>,<delivery %>" line per security
+function parseDeliveryReport(lines) {
+  const dateLine = lines.find(line => /^10,MTO,/.test(line));
+  const date = parseEodDate(dateLine && splitCsvLine(dateLine)[2]);
+  if (!date) return null;
+
+  const records = lines
+    .filter(line => /^20,/.test(line))
+    .map(line => splitCsvLine(line).map(cell => cell.trim()))
+    .map(([, , symbol, series, traded, delivered, pct]) => ({
+      symbol,
+      series,
+      volume: num(traded),
+      deliveryQty: num(delivered),
+      deliveryPct: num(pct)
+    }))
+    .filter(r => r.symbol && EQUITY_SERIES.has(r.series));
+
+  return { kind: "delivery", date, records };
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Merge parsed records into the date's file; fields a file lacks keep their stored value,
+// so a bhavcopy and the day's delivery report can be imported in either order
+// Returns the number of symbols written
+function storeEodRecords(parsed, source, dir) {
+  const file = join(dir, `${parsed.date}.json`);
+  const day = readDay(file) ?? { date: parsed.date, sources: [], records: {} };
+
+  for (const { symbol, date, ...fields } of parsed.records) {
+    const present = Object.entries(fields).filter(([, v]) => v !== null && v !== undefined);
+    day.records[symbol] = { ...day.records[symbol], ...Object.fromEntries(present) };
+  }
+  day.sources = [
+    ...day.sources.filter(s => s.file !== source),
+    { file: source, kind: parsed.kind, importedAt: new Date().toISOString() }
+  ];
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(file, JSON.stringify(day));
+  return parsed.records.length;
+}
+
+// A stored date ({ date, sources, records: { SYMBOL: fields } }), or null if missing/unreadable
+function readDay(file) {
+  try {
+    return existsSync(file) ? JSON.parse(readFileSync(file, "utf-8")) : null;
+  } catch {
+    return null;
+  }
+}
+
+// One CSV line as cells; a quoted cell may hold commas and "" for a quote
+// (FinInstrmNm and other names are quoted when they contain a comma)
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// Convert value to number (handles commas; "-" and blanks are null)
+function num(value) {
+  if (value === undefined || value === null) return null;
+  const cleaned = String(value).replace(/[, ]/g, "");
+  if (!cleaned || cleaned === "-") return null;
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : null;
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Bhavcopy dates ("2025-10-17", "17-OCT-2025", "17-Oct-2025", "17102025") -> "YYYY-MM-DD"
+function parseEodDate(value) {
+  const str = String(value ?? "").trim();
+  let m = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return toIsoDate(+m[1], +m[2], +m[3]);
+
+  m = str.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (m) return toIsoDate(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+
+  m = str.match(/^(\d{2})(\d{2})(\d{4})$/);
+  if (m) return toIsoDate(+m[3], +m[2], +m[1]);
+
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Files in a ZIP archive as [{ name, data }] (stored or deflated entries, as NSE serves)
+function readZipEntries(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("Corrupt ZIP: no central directory");
+
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let n = buffer.readUInt16LE(end + 10); n > 0; n--) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("Corrupt ZIP: bad directory entry");
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+    // Sizes in the local header may be zero (data descriptor), so the directory's are used
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    if (!name.endsWith("/")) {
+      if (method === 0) entries.push({ name, data });
+      else if (method === 8) entries.push({ name, data: inflateRawSync(data) });
+      else throw new Error(`Unsupported ZIP compression (method ${method}): ${name}`);
+    }
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
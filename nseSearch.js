@@ -0,0 +1,216 @@
+// =============================================================================
+// NSE Symbol Search
+// Resolves company names or partial strings to NSE symbols, using NSE's
+// autocomplete endpoint with a fuzzy-matched local equity master as fallback
+// =============================================================================
+
+import { existsSync, readFileSync, renameSync, rmSync, statSync } from "fs";
+import {
+  downloadEquityMaster,
+  fetchSymbolSearch,
+  normalizeEquityMaster,
+  normalizeSymbolSearch
+} from "./nseData.js";
+
+// Local copy of NSE's EQUITY_L.csv, downloaded on first search
+export const EQUITY_MASTER_FILE = process.env.NSE_EQUITY_MASTER_FILE || ".nse-equity-master.csv";
+
+// NSE republishes EQUITY_L.csv daily; an older copy is downloaded again so new listings resolve
+const MASTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Fuzzy matches scoring below this are not offered as candidates
+const MIN_SCORE = 40;
+
+// A top match this far ahead of the runner-up is taken without asking
+const CLEAR_LEAD = 15;
+
+// Words that do not tell companies apart
+const STOP_WORDS = new Set(["limited", "ltd", "the", "company", "co", "corporation", "corp", "india", "of", "and"]);
+
+// How long a failed master load is remembered before it is tried again
+const MASTER_RETRY_MS = 5 * 60 * 1000;
+
+// Loaded equity master (null until first use), when it was read, and the last failed load
+let master = null;
+let masterLoadedAt = 0;
+let masterFailedAt = 0;
+
+// =============================================================================
+// Search
+// =============================================================================
+
+// Search NSE for a company name or partial symbol
+// Returns { source: "nse" | "local", results: [{ symbol, name, series, isin, score }], error }
+// NSE results are enriched with ISINs from the local master when it is already on disk;
+// if NSE fails or finds nothing, the local master (downloaded if needed) is searched instead
+export async function searchSymbols(query, options = {}) {
+  const limit = options.limit ?? 10;
+  let error = null;
+
+  try {
+    const resp = await fetchSymbolSearch(query, options);
+    const equities = await loadEquityMaster({ ...options, download: false });
+    // Stable sort, so NSE's own order decides between equal scores
+    const results = normalizeSymbolSearch(resp)
+      .map(r => enrichFromMaster(r, equities, query))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    if (results.length) return { source: "nse", results, error };
+  } catch (err) {
+    error = err;
+  }
+
+  const equities = await loadEquityMaster(options);
+  if (!equities) return { source: "local", results: [], error };
+  return { source: "local", results: searchEquityMaster(equities, query, limit), error };
+}
+
+// Resolve user input to one symbol
+// Ticker-shaped input ("HDFCBANK", "m&m") is taken as-is when the equity master lists it
+// (or cannot be loaded); anything else, including single words that are not symbols
+// ("Infosys"), is searched and resolved when one match is clearly best
+// Returns { symbol, candidates, source, error } - symbol is null when ambiguous or not found
+export async function resolveSymbol(input, options = {}) {
+  const text = String(input ?? "").trim();
+  if (isTickerLike(text)) {
+    const equities = await loadEquityMaster(options);
+    const symbol = text.toUpperCase();
+    if (!equities || equities.some(e => e.symbol === symbol)) {
+      return { symbol, candidates: [], source: "input", error: null };
+    }
+  }
+
+  const { source, results, error } = await searchSymbols(text, options);
+  const [best, next] = results;
+  const clear = best && (
+    results.length === 1 ||
+    best.score === 100 ||
+    best.score - (next?.score ?? 0) >= CLEAR_LEAD
+  );
+
+  return { symbol: clear ? best.symbol : null, candidates: results, source, error };
+}
+
+// True for input that already looks like an NSE symbol (no spaces, symbol characters only)
+export function isTickerLike(text) {
+  return /^[A-Za-z0-9&-]{1,20}$/.test(text);
+}
+
+// =============================================================================
+// Local Equity Master
+// =============================================================================
+
+// Load the local equity master, downloading it first if it is missing or older than
+// MASTER_TTL_MS (pass { download: false } to use only a copy already on disk)
+// Returns null (never throws) when it can be neither read nor downloaded; a failed
+// download is not retried for a few minutes, and a stale copy is used meanwhile
+export async function loadEquityMaster(options = {}) {
+  if (master && Date.now() - masterLoadedAt < MASTER_TTL_MS) return master;
+
+  const file = options.masterFile ?? EQUITY_MASTER_FILE;
+  const fresh = existsSync(file) && Date.now() - statSync(file).mtimeMs < MASTER_TTL_MS;
+  if (!fresh && options.download !== false && Date.now() - masterFailedAt >= MASTER_RETRY_MS) {
+    try {
+      await refreshEquityMaster(file, options);
+    } catch {
+      masterFailedAt = Date.now();
+    }
+  }
+
+  if (!existsSync(file)) return null;
+  try {
+    master = normalizeEquityMaster(readFileSync(file, "utf-8"));
+    masterLoadedAt = Date.now();
+  } catch {
+    return null;
+  }
+  return master;
+}
+
+// Fuzzy search of equity master rows by symbol and company name
+// Scores: 100 exact symbol or name, 90 symbol prefix, 80 name prefix,
+// 70 every word a prefix of a name word, 60 substring, below that typo-tolerant
+export function searchEquityMaster(equities, query, limit = 10) {
+  const wanted = normalizeName(query);
+  const compact = wanted.replace(/ /g, "");
+  if (!compact) return [];
+
+  return equities
+    .map(e => ({ ...e, score: scoreMatch(e, wanted, compact) }))
+    .filter(e => e.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol))
+    .slice(0, limit);
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+// Download a new copy next to the old one and swap it in, so a failed
+// download leaves the previous copy usable
+async function refreshEquityMaster(file, options) {
+  const temp = `${file}.download`;
+  rmSync(temp, { force: true });
+  await downloadEquityMaster(temp, options);
+  renameSync(temp, file);
+}
+
+function scoreMatch(equity, wanted, compact) {
+  const symbol = equity.symbol.toLowerCase();
+  const name = normalizeName(equity.name);
+  const nameCompact = name.replace(/ /g, "");
+  const words = name.split(" ").filter(Boolean);
+  const queryWords = wanted.split(" ").filter(Boolean);
+
+  if (symbol === compact || nameCompact === compact) return 100;
+  if (symbol.startsWith(compact)) return 90;
+  if (nameCompact.startsWith(compact)) return 80;
+  if (queryWords.every(q => words.some(w => w.startsWith(q)))) return 70;
+  if (symbol.includes(compact) || nameCompact.includes(compact)) return 60;
+
+  // Typo tolerance: average best similarity of each query word to a name word or the symbol
+  const similarity = queryWords
+    .map(q => Math.max(...[...words, symbol].map(w => getSimilarity(q, w))))
+    .reduce((sum, s) => sum + s, 0) / queryWords.length;
+  return Math.round(similarity * 55);
+}
+
+// Lower-case, punctuation stripped, without words like "Limited"
+function normalizeName(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .split(/\s+/)
+    .filter(w => w && !STOP_WORDS.has(w))
+    .join(" ");
+}
+
+// 1 - normalized Levenshtein distance
+function getSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = above;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Add ISIN (and series when NSE omitted it) from the master, and a match score
+function enrichFromMaster(result, equities, query) {
+  const row = equities?.find(e => e.symbol === result.symbol);
+  const merged = {
+    ...result,
+    name: result.name ?? row?.name ?? null,
+    series: result.series.length ? result.series : row?.series ?? [],
+    isin: result.isin ?? row?.isin ?? null
+  };
+  const wanted = normalizeName(query);
+  return { ...merged, score: scoreMatch(merged, wanted, wanted.replace(/ /g, "")) };
+}
@@ -1,11 +1,12 @@
 // =============================================================================
 // Screener.in Text Parser CLI
-// Usage: node screenerCli.js <input-file.txt> [--json] [--raw]
+// Usage: node screenerCli.js <input-file.txt> [--json] [--raw] [--no-eod]
 // =============================================================================
 
 import { readFileSync } from "fs";
 import { parseScreenerText, flattenParsedData } from "./src/screenerParser.js";
-import { printSection, printKV } from "./src/format.js";
+import { printSection, printKV, printTable } from "./src/format.js";
+import { EOD_DIR, loadEodHistory, summarizeEod } from "./nseEod.js";
 
 // =============================================================================
 // Parse Arguments
@@ -15,13 +16,18 @@ const args = process.argv.slice(2);
 const inputFile = args.find(arg => !arg.startsWith("--"));
 const JSON_OUTPUT = args.includes("--json");
 const RAW_OUTPUT = args.includes("--raw");
+const USE_EOD = !args.includes("--no-eod");
+
+// Stored sessions read for the EOD averages (20 prior sessions plus the latest)
+const EOD_SESSIONS = 21;
 
 if (!inputFile) {
-  console.error("Usage: node screenerCli.js <input-file.txt> [--json] [--raw]");
+  console.error("Usage: node screenerCli.js <input-file.txt> [--json] [--raw] [--no-eod]");
   console.error("");
   console.error("Options:");
   console.error("  --json    Output as JSON");
   console.error("  --raw     Output full parsed object (with nested structure)");
+  console.error(`  --no-eod  Skip volume and delivery from the local EOD store (${EOD_DIR})`);
   console.error("");
   console.error("Example:");
   console.error("  node screenerCli.js screener-input.txt");
@@ -60,6 +66,9 @@ function main() {
     process.exit(1);
   }
 
+  // The paste has no volume; add it from imported bhavcopies when the store has the symbol
+  if (USE_EOD) parsed.eod = getEodContext(parsed.listing.nseSymbol);
+
   // Output based on mode
   if (RAW_OUTPUT) {
     console.log(JSON.stringify(parsed, null, 2));
@@ -90,27 +99,55 @@ function printFormattedOutput(parsed) {
   printKV("52-Week High / Low", flat["52-Week High / Low"]);
   printKV("Volume (today)", flat["Volume (today)"]);
   printKV("10-day average volume", flat["10-day average volume"]);
+  printEod(parsed.eod, flat);
 
   // Valuation Metrics
   printSection("Valuation Metrics");
   printKV("P/E Ratio", flat["P/E Ratio"]);
   printKV("Industry P/E", flat["Industry P/E"]);
+  printKV("Industry P/E (market-cap weighted)", flat["Industry P/E (market-cap weighted)"]);
+  printKV("P/E premium vs industry (%)", flat["P/E premium vs industry (%)"]);
   printKV("P/B Ratio", flat["P/B Ratio"]);
   printKV("Face Value", flat["Face Value"]);
+  printKV("Sector", flat["Sector"]);
+  printKV("Industry", flat["Industry"]);
+  printKV("Part of", parsed.classification.indices.join(", ") || "N/A");
 
   // Financial Strength
   printSection("Financial Strength");
   printKV("Market Capitalization", flat["Market Capitalization"]);
   printKV("Debt to Equity", flat["Debt to Equity"]);
+  printKV("Debt to Equity basis", flat["Debt to Equity basis"]);
+  printKV("Borrowings / Deposits", flat["Borrowings / Deposits"]);
+  printKV("Assets / Equity", flat["Assets / Equity"]);
   printKV("EPS (TTM)", flat["EPS (TTM)"]);
   printKV("ROE (%)", flat["ROE (%)"]);
   printKV("ROCE (%)", flat["ROCE (%)"]);
+  printKV("Operating cash flow (latest year, Cr)", flat["Operating cash flow (latest year, Cr)"]);
+  printKV("Free cash flow (latest year, Cr)", flat["Free cash flow (latest year, Cr)"]);
+  printKV("Operating + investing cash flow (latest year, Cr)", flat["Operating + investing cash flow (latest year, Cr)"]);
 
   // Growth & Profitability
   printSection("Growth & Profitability");
   printKV("Revenue growth (YoY)", flat["Revenue growth (YoY)"]);
   printKV("Net profit growth (YoY)", flat["Net profit growth (YoY)"]);
   printKV("Operating margin", flat["Operating margin"]);
+  printKV("Latest quarter", flat["Latest quarter"]);
+  printKV("Quarterly revenue growth QoQ (%)", flat["Quarterly revenue growth QoQ (%)"]);
+  printKV("Quarterly revenue growth YoY (%)", flat["Quarterly revenue growth YoY (%)"]);
+  printKV("Quarterly PBT growth QoQ (%)", flat["Quarterly PBT growth QoQ (%)"]);
+  printKV("Quarterly PBT growth YoY (%)", flat["Quarterly PBT growth YoY (%)"]);
+  printKV("Quarterly net profit growth QoQ (%)", flat["Quarterly net profit growth QoQ (%)"]);
+  printKV("Quarterly net profit growth YoY (%)", flat["Quarterly net profit growth YoY (%)"]);
+  printKV("Latest financial year", flat["Latest financial year"]);
+  printKV("Revenue growth (latest year, %)", flat["Revenue growth (latest year, %)"]);
+  printKV("Net profit growth (latest year, %)", flat["Net profit growth (latest year, %)"]);
+  printKV("Revenue CAGR 5Y (%)", flat["Revenue CAGR 5Y (%)"]);
+  printKV("Net profit CAGR 5Y (%)", flat["Net profit CAGR 5Y (%)"]);
+
+  printGrowthConsistency(parsed.growth);
+  printFinancialTrends(parsed.financials);
+  printPeerComparison(parsed.peerComparison);
 
   // Shareholding Pattern
   printSection("Shareholding Pattern");
@@ -132,6 +169,132 @@ function printFormattedOutput(parsed) {
   printKV("Parsed at", parsed._meta.parsedAt);
 }
 
+const CONSISTENCY_COLUMNS = [
+  { key: "block", label: "Block" },
+  { key: "10 Years", label: "10Y %" },
+  { key: "5 Years", label: "5Y %" },
+  { key: "3 Years", label: "3Y %" },
+  { key: "latest", label: "Latest %" },
+  { key: "latestPeriod", label: "Latest period" },
+  { key: "latestVs3Years", label: "vs 3Y (pp)" },
+  { key: "trend", label: "Trend" }
+];
+
+const CONSISTENCY_BLOCKS = [
+  { key: "sales", label: "Sales growth" },
+  { key: "profit", label: "Profit growth" },
+  { key: "stockPrice", label: "Stock price CAGR" },
+  { key: "returnOnEquity", label: "Return on equity" }
+];
+
+// Screener's compounded blocks side by side, longest period first, with whether each is speeding up
+function printGrowthConsistency(growth) {
+  const rows = CONSISTENCY_BLOCKS
+    .filter(({ key }) => growth.compounded[key])
+    .map(({ key, label }) => {
+      const block = growth.compounded[key];
+      const consistency = growth.consistency[key];
+      return {
+        block: label,
+        "10 Years": block["10 Years"] ?? null,
+        "5 Years": block["5 Years"] ?? null,
+        "3 Years": block["3 Years"] ?? null,
+        latest: consistency ? block[consistency.latestPeriod] : null,
+        latestPeriod: consistency?.latestPeriod ?? null,
+        latestVs3Years: consistency?.latestVs3Years ?? null,
+        trend: consistency?.trend ?? null
+      };
+    });
+  if (rows.length === 0) return;
+
+  printSection("Growth Consistency");
+  printTable(CONSISTENCY_COLUMNS, rows);
+}
+
+// Latest stored session and averages for the page's NSE symbol, or null
+function getEodContext(symbol) {
+  if (!symbol) return null;
+  const summary = summarizeEod(loadEodHistory([symbol], { days: EOD_SESSIONS }).get(symbol));
+  return summary && { symbol, ...summary };
+}
+
+function printEod(eod, flat) {
+  if (!eod) return;
+
+  printSection(`EOD Store: ${eod.symbol} (${eod.date})`);
+  printKV("Close", flat["EOD close"]);
+  printKV("Volume", flat["EOD volume"]);
+  printKV("Average volume (10D)", flat["EOD average volume (10D)"]);
+  printKV("Volume vs prior 20D average (x)", flat["EOD volume vs prior 20D average (x)"]);
+  printKV("Delivery (%)", flat["EOD delivery (%)"]);
+  printKV("Average delivery (10D, %)", flat["EOD average delivery (10D, %)"]);
+}
+
+// Years shown in the financial trends table (--raw has every year)
+const TREND_YEARS = 5;
+
+const TREND_COLUMNS = [
+  { key: "year", label: "Year" },
+  { key: "revenue", label: "Revenue" },
+  { key: "revenueGrowth", label: "Rev YoY %" },
+  { key: "netProfit", label: "Net Profit" },
+  { key: "profitGrowth", label: "NP YoY %" },
+  { key: "operatingCashFlow", label: "CFO" },
+  { key: "operatingPlusInvesting", label: "CFO + CFI" },
+  { key: "freeCashFlow", label: "FCF" }
+];
+
+// Revenue, profit and cash flow of the last few years from the parsed statements
+function printFinancialTrends(financials) {
+  const { profitLoss, cashFlow, summary } = financials;
+  if (!profitLoss) return;
+
+  const pl = profitLoss.metrics;
+  const cfo = cashFlow?.metrics["Cash from Operating Activity"];
+  const years = profitLoss.periods.filter(p => p !== "TTM").slice(-TREND_YEARS);
+  const rows = years.map(year => ({
+    year,
+    revenue: (pl["Revenue"] ?? pl["Sales"])?.[year] ?? null,
+    revenueGrowth: summary.revenueGrowth[year] ?? null,
+    netProfit: pl["Net Profit"]?.[year] ?? null,
+    profitGrowth: summary.profitGrowth[year] ?? null,
+    operatingCashFlow: cfo?.[year] ?? null,
+    operatingPlusInvesting: summary.operatingPlusInvestingCashFlow[year] ?? null,
+    freeCashFlow: summary.freeCashFlow[year] ?? null
+  }));
+  // FCF needs the capex rows, which only an expanded Cash from Investing paste has
+  const hasFreeCashFlow = summary.freeCashFlowYears > 0;
+  const columns = TREND_COLUMNS.filter(c => c.key !== "freeCashFlow" || hasFreeCashFlow);
+
+  printSection(`Financial Trends (Rs Cr, last ${rows.length} years)`);
+  printTable(columns, rows);
+  printKV("Revenue CAGR 3Y / 5Y / 10Y (%)", Object.values(summary.revenueCagr).map(v => v ?? "N/A").join(" / "));
+  printKV("Net profit CAGR 3Y / 5Y / 10Y (%)", Object.values(summary.profitCagr).map(v => v ?? "N/A").join(" / "));
+  if (hasFreeCashFlow) {
+    printKV("Years with positive FCF", `${summary.positiveFreeCashFlowYears} of ${summary.freeCashFlowYears}`);
+  }
+  printKV("Years with positive CFO + CFI", `${summary.positiveOperatingPlusInvestingYears} of ${summary.operatingPlusInvestingYears}`);
+}
+
+// The peer table as pasted, with the stock's rank in each column
+function printPeerComparison(peerComparison) {
+  if (!peerComparison) return;
+
+  const columns = [{ key: "name", label: "Name" }, ...peerComparison.columns];
+  printSection(`Peer Comparison (${peerComparison.peers.length} peers)`);
+  printTable(columns, peerComparison.peers);
+  printKV("Median P/E (other peers)", peerComparison.industryPE.median ?? "N/A");
+  printKV("Market-cap weighted P/E (other peers)", peerComparison.industryPE.marketCapWeighted ?? "N/A");
+  if (!peerComparison.stock) {
+    printKV("Rank in peers", "N/A (stock not found in the peer table)");
+    return;
+  }
+  for (const { key, label } of peerComparison.columns) {
+    const rank = peerComparison.ranks[key];
+    if (rank) printKV(`Rank by ${label}`, `${rank.rank} of ${rank.of}`);
+  }
+}
+
 // =============================================================================
 // Run
 // =============================================================================
@@ -0,0 +1,302 @@
+// =============================================================================
+// Local HTTP API Server
+// JSON API over the NSE fetchers and the Screener parser, for browser UIs
+// Usage: node server.js [--port 3001] [--offline] [--replay [dir]]
+// =============================================================================
+
+import { createServer } from "http";
+import {
+  fetchAnnouncements,
+  fetchCorporateActions,
+  fetchQuoteEquity,
+  fetchQuoteEquitySection,
+  fetchShareholdingBestEffort,
+  filterAnnouncements,
+  normalizeAnnouncements,
+  normalizeCorporateActions,
+  normalizeCorporateActionsLatest,
+  normalizeQuoteMetrics,
+  normalizeShareholding,
+  normalizeTradeInfoMetrics
+} from "./nseData.js";
+import { configureCache, configureCassettes, getCacheInfo, getClientStatus } from "./nseClient.js";
+import { flattenParsedData, parseScreenerText } from "./src/screenerParser.js";
+import { isTickerLike } from "./nseSearch.js";
+
+// =============================================================================
+// Parse Arguments
+// =============================================================================
+
+const PORT = Number(getFlagValue("--port", null) ?? process.env.PORT ?? 3001);
+const HOST = process.env.HOST || "127.0.0.1";
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+const OFFLINE = process.argv.includes("--offline");
+const REPLAY_DIR = getFlagValue("--replay", "fixtures/cassettes");
+
+// Screener pages are a few hundred KB of text at most
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+if (OFFLINE) configureCache({ offline: true });
+if (REPLAY_DIR) configureCassettes({ mode: "replay", dir: REPLAY_DIR });
+
+// Value following a flag, the fallback if the flag has none, or null if absent
+function getFlagValue(flag, fallback) {
+  const i = process.argv.indexOf(flag);
+  if (i === -1) return null;
+  const next = process.argv[i + 1];
+  return !next || next.startsWith("--") ? fallback : next;
+}
+
+// =============================================================================
+// Routes
+// =============================================================================
+
+// Symbol routes: GET /<name>/:symbol -> handler(symbol, query)
+const SYMBOL_ROUTES = {
+  "quote": getQuote,
+  "trade-info": getTradeInfo,
+  "actions": getActions,
+  "announcements": getAnnouncements,
+  "shareholding": getShareholding
+};
+
+const startedAt = new Date();
+const served = { requests: 0, errors: 0 };
+
+async function getQuote(symbol) {
+  const quote = await fetchQuoteEquity(symbol);
+  return withSource(quote, normalizeQuoteMetrics(quote));
+}
+
+async function getTradeInfo(symbol) {
+  const tradeInfo = await fetchQuoteEquitySection(symbol, "trade_info");
+  return withSource(tradeInfo, normalizeTradeInfoMetrics(tradeInfo));
+}
+
+async function getActions(symbol) {
+  const actions = await fetchCorporateActions(symbol);
+  return withSource(actions, {
+    latest: normalizeCorporateActionsLatest(actions),
+    events: normalizeCorporateActions(actions)
+  });
+}
+
+// Query: from, to (YYYY-MM-DD), category, keyword - as in index.js --announcements
+async function getAnnouncements(symbol, query) {
+  const filters = {
+    from: getDateParam(query, "from"),
+    to: getDateParam(query, "to"),
+    category: query.get("category"),
+    keyword: query.get("keyword")
+  };
+  const ann = await fetchAnnouncements(symbol, { from: filters.from, to: filters.to });
+  return withSource(ann, filterAnnouncements(normalizeAnnouncements(ann), filters));
+}
+
+async function getShareholding(symbol) {
+  const sh = await fetchShareholdingBestEffort(symbol);
+  return withSource(sh, normalizeShareholding(sh));
+}
+
+// Body: the copy-pasted page as text/plain, or JSON { "text": "..." }
+async function parseScreener(req) {
+  const body = await readBody(req);
+  const isJson = (req.headers["content-type"] ?? "").includes("application/json");
+
+  let text = body;
+  if (isJson) {
+    try {
+      text = JSON.parse(body)?.text;
+    } catch {
+      throw createHttpError(400, "Body is not valid JSON");
+    }
+  }
+  if (!text || typeof text !== "string" || !text.trim()) {
+    throw createHttpError(400, "Empty Screener text");
+  }
+
+  const parsed = parseScreenerText(text);
+  return { source: "screener.in", data: { parsed, flat: flattenParsedData(parsed) } };
+}
+
+function getHealth() {
+  return { status: "ok", uptimeMs: Date.now() - startedAt.getTime() };
+}
+
+function getStatus() {
+  return {
+    status: "ok",
+    startedAt: startedAt.toISOString(),
+    uptimeMs: Date.now() - startedAt.getTime(),
+    served: { ...served },
+    nse: getClientStatus(),
+    routes: [
+      "GET /health",
+      "GET /status",
+      ...Object.keys(SYMBOL_ROUTES).map(name => `GET /${name}/:symbol`),
+      "POST /screener/parse"
+    ]
+  };
+}
+
+// =============================================================================
+// Request Handling
+// =============================================================================
+
+async function handleRequest(req, res) {
+  served.requests++;
+  if (req.method === "OPTIONS") {
+    sendJson(res, 204, null);
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host ?? "localhost"}`);
+    const parts = url.pathname.split("/").filter(Boolean).map(decodePathPart);
+
+    if (req.method === "GET" && parts.length === 1 && parts[0] === "health") {
+      sendJson(res, 200, getHealth());
+      return;
+    }
+    if (req.method === "GET" && parts.length === 1 && parts[0] === "status") {
+      sendJson(res, 200, getStatus());
+      return;
+    }
+    if (parts.length === 2 && parts[0] === "screener" && parts[1] === "parse") {
+      if (req.method !== "POST") throw createHttpError(405, "Use POST");
+      sendJson(res, 200, await parseScreener(req));
+      return;
+    }
+
+    const handler = parts.length === 2 ? SYMBOL_ROUTES[parts[0]] : null;
+    if (!handler) throw createHttpError(404, `No route for ${req.method} ${url.pathname}`);
+    if (req.method !== "GET") throw createHttpError(405, "Use GET");
+
+    const symbol = parts[1].trim().toUpperCase();
+    if (!isTickerLike(symbol)) throw createHttpError(400, `Not an NSE symbol: ${parts[1]}`);
+
+    const result = await handler(symbol, url.searchParams);
+    sendJson(res, 200, { symbol, ...result });
+  } catch (err) {
+    served.errors++;
+    const { httpStatus, body } = toErrorBody(err);
+    sendJson(res, httpStatus, body);
+  }
+}
+
+function sendJson(res, httpStatus, body) {
+  res.writeHead(httpStatus, {
+    "Access-Control-Allow-Origin": CORS_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...(body === null ? {} : { "Content-Type": "application/json; charset=utf-8" })
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+// Normalized data plus where it came from: live NSE or the local cache
+function withSource(response, data) {
+  const info = getCacheInfo(response);
+  return {
+    source: "nse",
+    fetchedAt: info?.fetchedAt ?? new Date().toISOString(),
+    cached: info ? { ageMs: info.ageMs, stale: info.stale } : null,
+    data
+  };
+}
+
+// Error body with the same fields as nseClient errors (status, reason, url, attempts)
+// NSE's own status goes in the body; the HTTP status says whose fault it was:
+// 404 not found at NSE, 503 offline / no cassette, 502 any other NSE failure
+function toErrorBody(err) {
+  const status = err?.status ?? null;
+  let httpStatus = err?.httpStatus;
+  if (!httpStatus) {
+    if (status === 404) httpStatus = 404;
+    else if (status === "OFFLINE" || status === "NO_CASSETTE") httpStatus = 503;
+    else if (err?.url) httpStatus = 502;
+    else httpStatus = 500;
+  }
+
+  return {
+    httpStatus,
+    body: {
+      error: {
+        status,
+        reason: err?.reason ?? err?.message ?? String(err),
+        url: err?.url ?? null,
+        attempts: err?.attempts ?? []
+      }
+    }
+  };
+}
+
+// Error raised by the server itself (bad input, unknown route)
+function createHttpError(httpStatus, reason) {
+  const error = new Error(`Request failed | status=${httpStatus} | reason=${reason}`);
+  error.httpStatus = httpStatus;
+  error.status = httpStatus;
+  error.reason = reason;
+  error.url = null;
+  error.attempts = [];
+  return error;
+}
+
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw createHttpError(400, `Malformed path: ${part}`);
+  }
+}
+
+// "YYYY-MM-DD" query value, or null when absent; anything else is a 400
+function getDateParam(query, name) {
+  const value = query.get(name);
+  if (value === null || value === "") return null;
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+  if (!date || date.getUTCDate() !== +m[3] || date.getUTCMonth() !== +m[2] - 1) {
+    throw createHttpError(400, `Invalid ${name} date: ${value} (use YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    // Keep reading an oversized body (dropping it) so the 413 can still be sent
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) reject(createHttpError(413, `Body larger than ${MAX_BODY_BYTES} bytes`));
+      else resolve(Buffer.concat(chunks).toString("utf-8"));
+    });
+    req.on("error", reject);
+  });
+}
+
+// =============================================================================
+// Run
+// =============================================================================
+
+const server = createServer((req, res) => {
+  handleRequest(req, res);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`NSE API server listening on http://${HOST}:${PORT}${OFFLINE ? " (offline, from cache)" : ""}`);
+  console.log("Routes: /health, /status, /quote/:symbol, /trade-info/:symbol, /actions/:symbol,");
+  console.log("        /announcements/:symbol, /shareholding/:symbol, POST /screener/parse");
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
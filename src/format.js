@@ -1,28 +1,334 @@
 // =============================================================================
 // Output Formatting Helpers
+// Print helpers for streaming text output, plus renderers that turn a
+// collected report (see createReport) into text, JSON, NDJSON or CSV
+// =============================================================================
+
+export const OUTPUT_FORMATS = ["text", "json", "ndjson", "csv"];
+
+// =============================================================================
+// Print Helpers
 // =============================================================================
 
 // Print a section header
 export function printSection(title) {
-  console.log(`\n== ${title} ==`);
+  console.log(sectionLine(title));
 }
 
 // Print a key-value pair
 export function printKV(label, value) {
-  console.log(`${label}: ${format(value)}`);
+  console.log(kvLine(label, value));
 }
 
 // Print an API error (one line, no HTML noise)
 export function printApiError(apiName, err) {
-  const status = err?.status ?? "";
-  const reason = err?.reason ?? err?.message ?? String(err);
-  console.log(`${apiName} failed: ${status} ${reason}`.trim());
+  console.log(errorLine(toErrorEntry(apiName, err)));
+}
+
+// Print rows as an aligned text table
+// columns: [{ key, label }] - numbers are right-aligned, everything else left-aligned
+export function printTable(columns, rows) {
+  console.log(tableLines(columns, rows).join("\n"));
+}
+
+// =============================================================================
+// Reports - collected results rendered in one go
+// =============================================================================
+
+/**
+ * Create an empty report. Sections and errors are appended in a fixed order
+ * by the caller, so the rendered output does not depend on response timing.
+ * @param {string} command - What produced the report (e.g. "quote", "index")
+ * @param {string} target - Symbol, index name or description
+ * @returns {object} - { command, target, generatedAt, sections, errors, raw }
+ */
+export function createReport(command, target) {
+  return {
+    command,
+    target,
+    generatedAt: new Date().toISOString(),
+    sections: [],
+    errors: [],
+    raw: null
+  };
+}
+
+/**
+ * Add a key-value section
+ * @param {object} report - From createReport
+ * @param {string} id - Stable identifier (JSON key, CSV section name)
+ * @param {string} title - Heading for text output
+ * @param {Array<[string, string, *]>} fields - [key, label, value] triples
+ * @param {object} [extra] - Optional note / cached entries
+ * @returns {object} - The section
+ */
+export function addFieldsSection(report, id, title, fields, extra = {}) {
+  const section = {
+    id,
+    title,
+    fields: fields.map(([key, label, value]) => ({ key, label, value: value ?? null })),
+    note: extra.note ?? null,
+    cached: extra.cached ?? []
+  };
+  report.sections.push(section);
+  return section;
+}
+
+/**
+ * Add a row-based section
+ * @param {object} report - From createReport
+ * @param {string} id - Stable identifier
+ * @param {string} title - Heading for text output
+ * @param {Array<{key: string, label: string}>} columns - Column order and labels
+ * @param {Array<object>} rows - Row objects keyed by column key
+ * @param {object} [extra] - layout ("table" or "list" for long text), note, cached
+ * @returns {object} - The section
+ */
+export function addRowsSection(report, id, title, columns, rows, extra = {}) {
+  const section = {
+    id,
+    title,
+    columns,
+    rows,
+    layout: extra.layout ?? "table",
+    note: extra.note ?? null,
+    cached: extra.cached ?? []
+  };
+  report.sections.push(section);
+  return section;
+}
+
+// Record a failed API call as a structured error entry
+export function addError(report, source, err) {
+  report.errors.push(toErrorEntry(source, err));
+}
+
+// Keep a raw API response (only rendered when the caller asked for --raw)
+export function addRaw(report, name, data) {
+  report.raw = report.raw ?? {};
+  report.raw[name] = data ?? null;
+}
+
+/**
+ * Render a report in one of OUTPUT_FORMATS
+ * @param {object} report - From createReport
+ * @param {string} [outputFormat] - text | json | ndjson | csv
+ * @returns {string}
+ */
+export function renderReport(report, outputFormat = "text") {
+  switch (outputFormat) {
+    case "json":
+      return renderJson(report);
+    case "ndjson":
+      return renderNdjson(report);
+    case "csv":
+      return renderCsv(report);
+    case "text":
+      return renderText(report);
+    default:
+      throw new Error(`Unknown output format: ${outputFormat} (expected ${OUTPUT_FORMATS.join(", ")})`);
+  }
+}
+
+// Render and print a report
+export function printReport(report, outputFormat = "text") {
+  console.log(renderReport(report, outputFormat));
+}
+
+// =============================================================================
+// Renderers
+// =============================================================================
+
+function renderText(report) {
+  const lines = [];
+
+  for (const section of report.sections) {
+    lines.push(sectionLine(section.title));
+    for (const c of section.cached) lines.push(kvLine(`Cached (${c.source})`, describeCached(c)));
+    if (section.note) lines.push(section.note);
+
+    if (section.fields) {
+      for (const f of section.fields) lines.push(kvLine(f.label, f.value));
+    } else if (section.layout === "list") {
+      for (const row of section.rows) {
+        lines.push("");
+        for (const col of section.columns) {
+          if (row[col.key] !== null && row[col.key] !== undefined) lines.push(kvLine(col.label, row[col.key]));
+        }
+      }
+    } else if (section.rows.length) {
+      lines.push(...tableLines(section.columns, section.rows));
+    }
+  }
+
+  if (report.errors.length) {
+    lines.push(sectionLine("Errors"));
+    for (const e of report.errors) lines.push(errorLine(e));
+  }
+
+  for (const [name, data] of Object.entries(report.raw ?? {})) {
+    lines.push(sectionLine(`RAW ${name}`));
+    lines.push(JSON.stringify(data, null, 2));
+  }
+
+  return lines.join("\n");
+}
+
+function renderJson(report) {
+  const sections = {};
+  for (const section of report.sections) {
+    sections[section.id] = {
+      title: section.title,
+      ...(section.fields
+        ? { fields: Object.fromEntries(section.fields.map(f => [f.key, f.value])) }
+        : { rows: section.rows.map(row => pickColumns(row, section.columns)) }),
+      ...(section.note ? { note: section.note } : {}),
+      ...(section.cached.length ? { cached: section.cached } : {})
+    };
+  }
+
+  return JSON.stringify({
+    command: report.command,
+    target: report.target,
+    generatedAt: report.generatedAt,
+    sections,
+    errors: report.errors,
+    ...(report.raw ? { raw: report.raw } : {})
+  }, null, 2);
+}
+
+// One JSON object per line: the report header, one line per fields section,
+// one line per row of a rows section, one line per error. Section values sit
+// under "fields" and row values under "data" so a column named type or
+// section cannot overwrite the envelope
+function renderNdjson(report) {
+  const lines = [{ type: "report", command: report.command, target: report.target, generatedAt: report.generatedAt }];
+
+  for (const section of report.sections) {
+    if (section.fields) {
+      lines.push({
+        type: "section",
+        section: section.id,
+        fields: Object.fromEntries(section.fields.map(f => [f.key, f.value])),
+        ...(section.cached.length ? { cached: section.cached } : {})
+      });
+    } else {
+      for (const row of section.rows) {
+        lines.push({ type: "row", section: section.id, data: pickColumns(row, section.columns) });
+      }
+    }
+  }
+
+  for (const e of report.errors) lines.push({ type: "error", ...e });
+  return lines.map(line => JSON.stringify(line)).join("\n");
+}
+
+// Long format so every section fits one header: section,row,field,value
+// (row is blank for key-value sections, 1-based for rows sections)
+function renderCsv(report) {
+  const lines = [["section", "row", "field", "value"]];
+
+  for (const section of report.sections) {
+    if (section.fields) {
+      for (const f of section.fields) lines.push([section.id, "", f.key, f.value]);
+    } else {
+      section.rows.forEach((row, i) => {
+        for (const col of section.columns) lines.push([section.id, i + 1, col.key, row[col.key]]);
+      });
+    }
+  }
+
+  report.errors.forEach((e, i) => {
+    lines.push(["errors", i + 1, "source", e.source]);
+    lines.push(["errors", i + 1, "status", e.status]);
+    lines.push(["errors", i + 1, "reason", e.reason]);
+  });
+
+  return lines.map(cols => cols.map(csvCell).join(",")).join("\n");
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+function sectionLine(title) {
+  return `\n== ${title} ==`;
+}
+
+function kvLine(label, value) {
+  return `${label}: ${format(value)}`;
+}
+
+function errorLine(e) {
+  const tries = e.attempts?.length > 1 ? ` (after ${e.attempts.length} attempts)` : "";
+  return `${e.source} failed: ${e.status ?? ""} ${e.reason}${tries}`.trim();
+}
+
+function tableLines(columns, rows) {
+  const cells = rows.map(row => columns.map(col => format(row[col.key])));
+  const widths = columns.map((col, i) =>
+    Math.max(col.label.length, ...cells.map(r => r[i].length))
+  );
+  const numeric = columns.map(col => rows.some(row => typeof row[col.key] === "number"));
+
+  const line = values => values
+    .map((v, i) => (numeric[i] ? v.padStart(widths[i]) : v.padEnd(widths[i])))
+    .join("  ")
+    .trimEnd();
+
+  return [
+    line(columns.map(col => col.label)),
+    widths.map(w => "-".repeat(w)).join("  "),
+    ...cells.map(line)
+  ];
+}
+
+// Plain error entry from an nseClient error (or anything thrown)
+function toErrorEntry(source, err) {
+  return {
+    source,
+    status: err?.status ?? null,
+    reason: err?.reason ?? err?.message ?? String(err),
+    url: err?.url ?? null,
+    attempts: err?.attempts ?? []
+  };
+}
+
+function describeCached(c) {
+  const minutes = Math.round(c.ageMs / 60000);
+  let age;
+  if (minutes < 1) age = "<1m";
+  else if (minutes < 60) age = `${minutes}m`;
+  else if (minutes < 48 * 60) age = `${Math.round(minutes / 60)}h`;
+  else age = `${Math.round(minutes / 1440)}d`;
+  return `${c.fetchedAt} (${age} old)${c.stale ? " [STALE]" : ""}`;
+}
+
+// Row limited to the section's columns, in column order
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.map(col => [col.key, row[col.key] ?? null]));
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const str = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
 }
 
 // Format value for display
+// Dates print as YYYY-MM-DD, or in IST when they carry a time of day
 function format(value) {
   if (value === undefined || value === null) return "null";
   if (typeof value === "number") return String(value);
   if (typeof value === "string") return value;
+  if (value instanceof Date) return formatDate(value);
   return JSON.stringify(value);
 }
+
+function formatDate(date) {
+  if (Number.isNaN(date.getTime())) return "null";
+  const iso = date.toISOString();
+  if (iso.endsWith("T00:00:00.000Z")) return iso.slice(0, 10);
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  return `${ist.toISOString().slice(0, 16).replace("T", " ")} IST`;
+}
@@ -48,6 +48,136 @@ function extractString(text, pattern) {
   return match?.[1]?.trim() || null;
 }
 
+// =============================================================================
+// Table Parsing
+// =============================================================================
+
+// Screener page section headings; a table is never looked for past the next one
+const SECTION_HEADINGS = [
+  "Peer comparison",
+  "Quarterly Results",
+  "Profit & Loss",
+  "Balance Sheet",
+  "Cash Flows",
+  "Ratios",
+  "Shareholding Pattern"
+];
+
+// Column labels of period tables: "Dec 2024", "Mar 2025", "TTM"
+const PERIOD_LABEL = /^(?:[A-Z][a-z]{2}\s+\d{4}|TTM)$/;
+
+/**
+ * Parse the tab-separated period table under a section heading. The header row
+ * lists the periods; every following row is a metric label and one cell per
+ * period, until the first line without tabs. Cells may use Indian digit
+ * grouping, be negative, end in "%" or be blank (null).
+ * @param {string} text - Full text to search
+ * @param {string} heading - Section heading line, e.g. "Quarterly Results"
+ * @returns {object|null} - { periods: ["Sep 2022", ...], metrics: { Revenue: { "Sep 2022": 38586, ... } } }
+ */
+export function parseScreenerTable(text, heading) {
+  const lines = text.split(/\r?\n/);
+
+  // The heading also appears in the page's section links at the top, with no table under it
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() !== heading) continue;
+    const table = readTable(lines.slice(i + 1));
+    if (table) return table;
+  }
+  return null;
+}
+
+/**
+ * Read a period table from the lines following its heading
+ * @param {string[]} lines - Lines after the heading
+ * @returns {object|null} - { periods, metrics }, or null if another section starts first
+ */
+function readTable(lines) {
+  let periods = null;
+  const metrics = {};
+  for (const line of lines) {
+    const cells = line.split("\t").map(cell => cell.trim());
+
+    if (!periods) {
+      if (SECTION_HEADINGS.includes(line.trim())) return null;
+      const labels = cells.filter(Boolean);
+      if (labels.length > 1 && labels.every(label => PERIOD_LABEL.test(label))) periods = labels;
+      continue;
+    }
+
+    if (cells.length < 2) break;
+    // "Revenue +" has an expand button; "Raw PDF" is a row of links with no values
+    const label = cells[0].replace(/\s*\+$/, "");
+    const values = cells.slice(1);
+    if (!label || values.every(v => !v)) continue;
+    metrics[label] = Object.fromEntries(periods.map((period, i) => [period, parseIndianNumber(values[i])]));
+  }
+
+  return periods ? { periods, metrics } : null;
+}
+
+/**
+ * Latest value of a period series with its change against the previous period
+ * and against the same period a year earlier
+ * @param {object} series - { period: number|null } in column order
+ * @returns {object|null} - { period, value, qoq, yoy }; growth in %, null without a usable base
+ */
+function getLatestGrowth(series) {
+  if (!series) return null;
+  const periods = Object.keys(series);
+  const index = periods.findLastIndex(p => series[p] !== null);
+  if (index === -1) return null;
+
+  const period = periods[index];
+  const [month, year] = period.split(/\s+/);
+  const yearAgo = `${month} ${Number(year) - 1}`;
+  return {
+    period,
+    value: series[period],
+    qoq: index > 0 ? percentChange(series[period], series[periods[index - 1]]) : null,
+    yoy: percentChange(series[period], series[yearAgo] ?? null)
+  };
+}
+
+/**
+ * Change of every period against the one before it
+ * @param {object} series - { period: number|null } in column order
+ * @param {string[]} periods - The periods to include, in order
+ * @returns {object} - { period: growth % } from the second period on
+ */
+function getGrowthSeries(series, periods) {
+  if (!series) return {};
+  return Object.fromEntries(periods.slice(1).map((period, i) =>
+    [period, percentChange(series[period] ?? null, series[periods[i]] ?? null)]));
+}
+
+/**
+ * Compound annual growth over the given number of years to the latest year
+ * @param {object} series - { "Mar 2025": value, ... }
+ * @param {string[]} years - Fiscal year columns in order (no TTM)
+ * @param {number} count - Number of years
+ * @returns {number|null} - % per year; null without both ends or with a non-positive start or end
+ */
+function getCagr(series, years, count) {
+  const latest = years.at(-1);
+  if (!series || !latest) return null;
+  const [month, year] = latest.split(/\s+/);
+  const end = series[latest];
+  const start = series[`${month} ${Number(year) - count}`];
+  if (!(end > 0) || !(start > 0)) return null;
+  return Math.round((Math.pow(end / start, 1 / count) - 1) * 10000) / 100;
+}
+
+/**
+ * Change from base to value in %, rounded to 2 decimals (measured against |base|,
+ * so a smaller loss is growth)
+ * @returns {number|null} - null when either is missing or base is 0
+ */
+function percentChange(value, base) {
+  if (value === null || base === null || base === 0) return null;
+  return Math.round(((value - base) / Math.abs(base)) * 10000) / 100;
+}
+
 // =============================================================================
 // Price & Volume Extraction
 // =============================================================================
@@ -82,7 +212,7 @@ function extractPriceVolume(text) {
 // Valuation Metrics Extraction
 // =============================================================================
 
-function extractValuation(text) {
+function extractValuation(text, peerComparison) {
   // P/E Ratio: "Stock P/E\n20.3" or "P/E\n20.26"
   const peRatio = extractNumber(text, /(?:Stock\s+)?P\/E\s*[\n\r]*([\d.]+)/i);
   
@@ -107,20 +237,365 @@ function extractValuation(text) {
     pbRatio = explicitPB;
   }
 
+  // Industry P/E: "Industry PE\n18.5" when added as a custom ratio, otherwise the
+  // median of the listed peers, then Screener's own "Median: N Co." row
+  const industryPE = extractNumber(text, /Industry\s+P\/?E\s*[\n\r]*([\d.]+)/i) ??
+    peerComparison?.industryPE.median ??
+    extractPeerMedianPE(text);
+
+  // P/E premium (+) or discount (-) against the industry, in %
+  let pePremiumPct = null;
+  if (peRatio !== null && industryPE > 0) {
+    pePremiumPct = Math.round((peRatio / industryPE - 1) * 10000) / 100;
+  }
+
   return {
     peRatio,
-    industryPE: "N/A",  // Not available in Screener copy-paste
+    industryPE: industryPE ?? "N/A",
+    industryPEWeighted: peerComparison?.industryPE.marketCapWeighted ?? null,
+    pePremiumPct,
     pbRatio,
     bookValue,
     faceValue
   };
 }
 
+/**
+ * P/E column of the peer comparison "Median: 20 Co." row
+ * @param {string} text - Full text to search
+ * @returns {number|null}
+ */
+function extractPeerMedianPE(text) {
+  const header = text.match(/^S\.No\.\t.*$/m);
+  const median = text.match(/^Median:[^\t\n]*\t.*$/m);
+  if (!header || !median) return null;
+
+  const column = header[0].split("\t").findIndex(h => /^P\/E$/i.test(h.trim()));
+  if (column < 2) return null;
+
+  // The median row has one label cell where peer rows have S.No. and Name
+  return parseIndianNumber(median[0].split("\t")[column - 1]);
+}
+
+// =============================================================================
+// Peer Comparison Extraction
+// =============================================================================
+
+// Peer table columns by header label (Screener lets users edit the column set)
+const PEER_COLUMNS = [
+  { key: "cmp", header: /^CMP/i },
+  { key: "pe", header: /^P\/E$/i },
+  { key: "marketCap", header: /^Mar\s+Cap/i },
+  { key: "dividendYield", header: /^Div\s+Yld/i },
+  { key: "quarterlyProfit", header: /^NP\s+Qtr/i },
+  { key: "quarterlyProfitVar", header: /^Qtr\s+Profit\s+Var/i },
+  { key: "quarterlySales", header: /^Sales\s+Qtr/i },
+  { key: "quarterlySalesVar", header: /^Qtr\s+Sales\s+Var/i },
+  { key: "roce", header: /^ROCE/i }
+];
+
+// Metrics where the lowest value ranks first; every other metric ranks highest first
+const RANK_ASCENDING = new Set(["pe"]);
+
+/**
+ * Peer comparison table: one row per listed peer, Industry P/E across the other
+ * peers (the stock's own row would bias its benchmark), and the stock's rank among
+ * all of them for every column
+ * @param {string} text - Full text to search
+ * @param {object} stock - { name, cmp, marketCapCr } of the page's own company, to find its row
+ * @returns {object|null} - { columns, peers, industryPE: { median, marketCapWeighted, peers }, stock, ranks }
+ */
+function extractPeerComparison(text, stock) {
+  const header = text.match(/^S\.No\.\t.*$/m);
+  if (!header) return null;
+
+  const labels = header[0].split("\t").map(h => h.trim());
+  const columns = PEER_COLUMNS
+    .map(c => ({ ...c, index: labels.findIndex(h => c.header.test(h)) }))
+    .filter(c => c.index !== -1);
+
+  // Rows run from the header to Screener's "Median: 20 Co." line
+  const peers = [];
+  for (const line of text.slice(header.index + header[0].length).split(/\r?\n/).slice(1)) {
+    const cells = line.split("\t").map(c => c.trim());
+    if (!/^\d+\.$/.test(cells[0])) break;
+    peers.push({
+      serial: Number(cells[0].slice(0, -1)),
+      name: cells[1] || null,
+      ...Object.fromEntries(columns.map(c => [c.key, parseIndianNumber(cells[c.index])]))
+    });
+  }
+  if (peers.length === 0) return null;
+
+  const self = findOwnRow(peers, stock);
+  const others = peers.filter(p => p !== self);
+  return {
+    columns: columns.map(c => ({ key: c.key, label: labels[c.index] })),
+    peers,
+    industryPE: {
+      median: median(others.map(p => p.pe).filter(pe => pe > 0)),
+      marketCapWeighted: getWeightedPE(others),
+      // Loss-making peers (no or negative P/E) are left out of both
+      peers: others.filter(p => p.pe > 0).length
+    },
+    stock: self?.name ?? null,
+    ranks: self ? rankPeer(self, peers, columns) : {}
+  };
+}
+
+/**
+ * The page's own company among the peers: the row matching its market cap (within 1%),
+ * else its CMP (within 0.5%), else its name ("HDFC Bank" for "HDFC Bank Ltd"), else
+ * S.No. 1, where Screener lists the company itself
+ * @returns {object|null}
+ */
+function findOwnRow(peers, stock) {
+  const near = (a, b, tolerance) => a !== null && b !== null && b !== undefined && Math.abs(a - b) <= Math.abs(b) * tolerance;
+  const title = normalizeCompanyName(stock.name);
+  return peers.find(p => near(p.marketCap, stock.marketCapCr, 0.01)) ??
+    peers.find(p => near(p.cmp, stock.cmp, 0.005)) ??
+    (title ? peers.find(p => p.name && title.startsWith(normalizeCompanyName(p.name))) : null) ??
+    peers.find(p => p.serial === 1) ??
+    null;
+}
+
+// Lower case, without punctuation, for comparing peer names with the page title
+function normalizeCompanyName(name) {
+  return name ? name.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim() : "";
+}
+
+/**
+ * Exchange codes from the page header (" NSE: HDFCBANK", " BSE: 500180")
+ * @param {string} text - Full text to search
+ * @returns {object} - { nseSymbol, bseCode }, null when not on the page
+ */
+function extractListing(text) {
+  return {
+    nseSymbol: extractString(text, /^\s*NSE:\s*([A-Z0-9&-]+)\s*$/m),
+    bseCode: extractString(text, /^\s*BSE:\s*(\d+)\s*$/m)
+  };
+}
+
+/**
+ * Company name from the page title ("HDFC Bank Ltd")
+ * @param {string} text - Full text to search
+ * @returns {string|null}
+ */
+function extractCompanyName(text) {
+  return extractString(text, /^\s*(.+?\s(?:Ltd|Limited)\.?)\s*$/m);
+}
+
+/**
+ * Market-cap-weighted P/E: total market cap over total earnings (market cap / P/E),
+ * as index P/Es are computed; peers without a positive P/E are left out
+ * @returns {number|null}
+ */
+function getWeightedPE(peers) {
+  const valid = peers.filter(p => p.pe > 0 && p.marketCap > 0);
+  if (valid.length === 0) return null;
+  const marketCap = valid.reduce((sum, p) => sum + p.marketCap, 0);
+  const earnings = valid.reduce((sum, p) => sum + p.marketCap / p.pe, 0);
+  return Math.round((marketCap / earnings) * 100) / 100;
+}
+
+/**
+ * Rank of one row within the peers for every column it has a value for
+ * @returns {object} - { key: { value, rank, of } } - rank 1 is the lowest P/E, otherwise the highest value
+ */
+function rankPeer(row, peers, columns) {
+  const ranks = {};
+  for (const { key } of columns) {
+    if (row[key] === null) continue;
+    const values = peers.map(p => p[key]).filter(v => v !== null);
+    const better = values.filter(v => (RANK_ASCENDING.has(key) ? v < row[key] : v > row[key])).length;
+    ranks[key] = { value: row[key], rank: better + 1, of: values.length };
+  }
+  return ranks;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number|null} - Median rounded to 2 decimals, null for no values
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(value * 100) / 100;
+}
+
+// =============================================================================
+// Sector Classification Extraction
+// =============================================================================
+
+function extractClassification(text) {
+  // Breadcrumb under "Peer comparison", same four levels NSE uses:
+  // " Financial Services   Financial Services   Banks   Private Sector Bank"
+  const result = {
+    macroSector: null,
+    sector: null,
+    industry: null,
+    basicIndustry: null,
+    indices: []
+  };
+
+  const breadcrumb = extractString(text, /Peer\s+comparison[ \t]*[\n\r]+([^\n\r]+)/i);
+  if (breadcrumb) {
+    const levels = breadcrumb.split(/\s{2,}/).map(l => l.trim()).filter(Boolean);
+    if (levels.length === 4) {
+      [result.macroSector, result.sector, result.industry, result.basicIndustry] = levels;
+    } else if (levels.length > 0) {
+      result.sector = levels[0];
+      result.industry = levels[levels.length - 1];
+    }
+  }
+
+  // Index membership: "Part of\nBSE Sensex\nNifty 50\n...\nshow all"
+  const partOf = text.match(/Part\s+of[ \t]*[\n\r]+([\s\S]*?)(?:^\s*show\s+all|^\s*$)/im);
+  if (partOf) {
+    result.indices = partOf[1].split(/[\n\r]+/).map(l => l.trim()).filter(Boolean);
+  }
+
+  return result;
+}
+
+// =============================================================================
+// Financial Statements Extraction
+// =============================================================================
+
+// Periods of CAGR computed from the annual statements
+const CAGR_YEARS = [3, 5, 10];
+
+/**
+ * Annual Profit & Loss, Balance Sheet and Cash Flows tables, each keyed by
+ * period ("Mar 2025", plus "TTM" in Profit & Loss and the latest half-year
+ * in Balance Sheet), with growth, CAGR and cash flow figures derived from them
+ * @param {string} text - Full text to search
+ * @returns {object} - { profitLoss, balanceSheet, cashFlow, summary }; tables are null when absent
+ */
+function extractFinancialStatements(text) {
+  const profitLoss = parseScreenerTable(text, "Profit & Loss");
+  const balanceSheet = parseScreenerTable(text, "Balance Sheet");
+  const cashFlow = parseScreenerTable(text, "Cash Flows");
+
+  return {
+    profitLoss,
+    balanceSheet,
+    cashFlow,
+    summary: summarizeFinancialStatements(profitLoss, cashFlow),
+    leverage: getLeverageRatios(balanceSheet)
+  };
+}
+
+/**
+ * Leverage ratios for every balance sheet period. Debt to equity is
+ * Borrowings / (Equity Capital + Reserves); balance sheets with a Deposits
+ * row (banks) also get Borrowings / Deposits and Total Assets / Equity
+ * @param {object|null} balanceSheet - parseScreenerTable output
+ * @returns {object|null} - { bank, basis, byPeriod: { period: ratios }, latest: { period, ...ratios } }
+ */
+function getLeverageRatios(balanceSheet) {
+  const rows = balanceSheet?.metrics ?? {};
+  const borrowingRow = Object.keys(rows).find(label => /^Borrowings?$/i.test(label));
+  const { "Equity Capital": capital, Reserves: reserves, Deposits: deposits, "Total Assets": assets } = rows;
+  if (!borrowingRow || !capital || !reserves) return null;
+
+  const borrowings = rows[borrowingRow];
+  const bank = Boolean(deposits);
+  const ratio = (a, b) => (a === null || b === null || b <= 0 ? null : Math.round((a / b) * 100) / 100);
+
+  const byPeriod = Object.fromEntries(balanceSheet.periods.map(period => {
+    const equity = capital[period] === null || reserves[period] === null ? null : capital[period] + reserves[period];
+    return [period, {
+      debtToEquity: ratio(borrowings[period], equity),
+      borrowingsToDeposits: bank ? ratio(borrowings[period], deposits[period]) : null,
+      assetsToEquity: bank && assets ? ratio(assets[period], equity) : null
+    }];
+  }));
+
+  const latestPeriod = balanceSheet.periods.findLast(p => byPeriod[p].debtToEquity !== null) ?? null;
+  return {
+    bank,
+    basis: {
+      debtToEquity: `${borrowingRow} / (Equity Capital + Reserves)`,
+      borrowingsToDeposits: bank ? `${borrowingRow} / Deposits` : null,
+      assetsToEquity: bank && assets ? "Total Assets / (Equity Capital + Reserves)" : null
+    },
+    byPeriod,
+    latest: latestPeriod ? { period: latestPeriod, ...byPeriod[latestPeriod] } : null
+  };
+}
+
+/**
+ * Year-on-year growth, CAGR and cash flow figures from the parsed statements
+ * Free cash flow is operating cash flow less net capex, and needs the Cash from Investing
+ * row expanded to "Fixed assets purchased" (and "Fixed assets sold"); operating plus
+ * investing cash flow is always given, but it includes acquisitions and investments
+ * @returns {object} - Per-year maps plus latest-year values (null when not computable)
+ */
+function summarizeFinancialStatements(profitLoss, cashFlow) {
+  const pl = profitLoss?.metrics ?? {};
+  const cf = cashFlow?.metrics ?? {};
+  const years = (profitLoss?.periods ?? []).filter(p => p !== "TTM");
+  const latestYear = years.at(-1) ?? null;
+  const revenue = pl["Revenue"] ?? pl["Sales"] ?? null;
+  const netProfit = pl["Net Profit"] ?? null;
+
+  const operating = cf["Cash from Operating Activity"] ?? null;
+  const investing = cf["Cash from Investing Activity"] ?? null;
+  const purchased = cf["Fixed assets purchased"] ?? null;
+  const sold = cf["Fixed assets sold"] ?? null;
+  const operatingPlusInvesting = operating && investing
+    ? Object.fromEntries(cashFlow.periods.map(p =>
+      [p, operating[p] === null || investing[p] === null ? null : operating[p] + investing[p]]))
+    : {};
+  // Purchases are negative in the paste; a missing "sold" cell means none
+  const freeCashFlow = operating && purchased
+    ? Object.fromEntries(cashFlow.periods.map(p =>
+      [p, operating[p] === null || purchased[p] === null ? null : operating[p] + purchased[p] + (sold?.[p] ?? 0)]))
+    : {};
+  const cashYear = cashFlow?.periods.at(-1) ?? null;
+
+  const revenueGrowth = getGrowthSeries(revenue, years);
+  const profitGrowth = getGrowthSeries(netProfit, years);
+
+  return {
+    latestYear,
+    revenueGrowth,
+    profitGrowth,
+    revenueGrowthLatest: revenueGrowth[latestYear] ?? null,
+    profitGrowthLatest: profitGrowth[latestYear] ?? null,
+    // TTM against the last full year (not a YoY figure: the periods overlap)
+    ttmVsLatestYear: {
+      revenue: percentChange(revenue?.TTM ?? null, revenue?.[latestYear] ?? null),
+      netProfit: percentChange(netProfit?.TTM ?? null, netProfit?.[latestYear] ?? null)
+    },
+    revenueCagr: Object.fromEntries(CAGR_YEARS.map(n => [`${n} Years`, getCagr(revenue, years, n)])),
+    profitCagr: Object.fromEntries(CAGR_YEARS.map(n => [`${n} Years`, getCagr(netProfit, years, n)])),
+    freeCashFlow,
+    operatingPlusInvestingCashFlow: operatingPlusInvesting,
+    cashFlowYear: cashYear,
+    operatingCashFlowLatest: operating?.[cashYear] ?? null,
+    freeCashFlowLatest: freeCashFlow[cashYear] ?? null,
+    operatingPlusInvestingLatest: operatingPlusInvesting[cashYear] ?? null,
+    // Years with a positive figure, out of those reported
+    positiveFreeCashFlowYears: countPositive(freeCashFlow),
+    freeCashFlowYears: Object.values(freeCashFlow).filter(v => v !== null).length,
+    positiveOperatingPlusInvestingYears: countPositive(operatingPlusInvesting),
+    operatingPlusInvestingYears: Object.values(operatingPlusInvesting).filter(v => v !== null).length
+  };
+}
+
+function countPositive(series) {
+  return Object.values(series).filter(v => v !== null && v > 0).length;
+}
+
 // =============================================================================
 // Financial Strength Extraction
 // =============================================================================
 
-function extractFinancialStrength(text) {
+function extractFinancialStrength(text, financials) {
   // Market Cap: "Market Cap\n₹ 14,41,457 Cr." or "Mar Cap Rs.Cr.\n1441456.96"
   let marketCap = extractString(text, /Market\s+Cap\s*[\n\r]*₹?\s*([\d,]+(?:\.\d+)?\s*(?:Cr\.?)?)/i);
   if (!marketCap) {
@@ -144,6 +619,9 @@ function extractFinancialStrength(text) {
     }
   }
   
+  // The parsed P&L table has the TTM column by name
+  epsTTM = financials?.profitLoss?.metrics["EPS in Rs"]?.TTM ?? epsTTM;
+
   // Fallback: Look for explicit "TTM" marker after EPS values
   if (!epsTTM) {
     // Try matching the pattern with TTM as last column header
@@ -159,12 +637,22 @@ function extractFinancialStrength(text) {
   // ROCE: "ROCE\n7.35 %" 
   const roce = extractNumber(text, /ROCE\s*%?\s*[\n\r]*([\d.]+)\s*%?/i);
 
+  // Leverage from the latest balance sheet column that has the rows
+  const leverage = financials?.leverage;
+  const latest = leverage?.latest;
+
   return {
     marketCap: marketCap || "N/A",
-    debtToEquity: "N/A",  // Not directly available
+    debtToEquity: latest?.debtToEquity ?? "N/A",
+    debtToEquityBasis: latest ? `${leverage.basis.debtToEquity}, ${latest.period}` : null,
+    borrowingsToDeposits: latest?.borrowingsToDeposits ?? null,
+    assetsToEquity: latest?.assetsToEquity ?? null,
     epsTTM,
     roe,
-    roce
+    roce,
+    operatingCashFlow: financials?.summary.operatingCashFlowLatest ?? null,
+    freeCashFlow: financials?.summary.freeCashFlowLatest ?? null,
+    operatingPlusInvestingCashFlow: financials?.summary.operatingPlusInvestingLatest ?? null
   };
 }
 
@@ -172,7 +660,99 @@ function extractFinancialStrength(text) {
 // Growth & Profitability Extraction
 // =============================================================================
 
-function extractGrowth(text) {
+/**
+ * Quarterly Results table with the latest quarter's growth for its headline rows
+ * (banks report "Revenue", other companies "Sales")
+ * @param {string} text - Full text to search
+ * @returns {object|null} - parseScreenerTable output plus latest: { period, revenue, profitBeforeTax, netProfit }
+ */
+function extractQuarterlyResults(text) {
+  const table = parseScreenerTable(text, "Quarterly Results");
+  if (!table) return null;
+
+  const { metrics } = table;
+  const revenue = getLatestGrowth(metrics["Revenue"] ?? metrics["Sales"]);
+  const profitBeforeTax = getLatestGrowth(metrics["Profit before tax"]);
+  const netProfit = getLatestGrowth(metrics["Net Profit"]);
+  return {
+    ...table,
+    latest: {
+      period: revenue?.period ?? netProfit?.period ?? null,
+      revenue,
+      profitBeforeTax,
+      netProfit
+    }
+  };
+}
+
+// Screener's compounded-figure blocks under the P&L table, keyed as they appear in growth output
+const GROWTH_BLOCKS = {
+  sales: "Compounded Sales Growth",
+  profit: "Compounded Profit Growth",
+  stockPrice: "Stock Price CAGR",
+  returnOnEquity: "Return on Equity"
+};
+
+// One line of a block: "10 Years:\t20%", "TTM:\t6%", "1 Year:", "Last Year:"
+const GROWTH_BLOCK_LINE = /^(\d+\s+Years?|TTM|Last\s+Year):?\s*(.*)$/i;
+
+// Percentage points within which two periods count as the same rate
+const TREND_TOLERANCE = 1;
+
+/**
+ * One compounded-figure block as a period map, longest period first
+ * @param {string} text - Full text to search
+ * @param {string} heading - Block heading line, e.g. "Stock Price CAGR"
+ * @returns {object|null} - { "10 Years": 20, "5 Years": 21, "3 Years": 33, "TTM": 6 }; blank values as null
+ */
+function parseGrowthBlock(text, heading) {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const start = lines.indexOf(heading);
+  if (start === -1) return null;
+
+  const block = {};
+  for (let i = start + 1; i < lines.length; i++) {
+    const match = lines[i].match(GROWTH_BLOCK_LINE);
+    if (!match) break;
+    let value = match[2];
+    // Some copies put the value on its own line ("TTM:\n6%")
+    if (!value && /^-?[\d.,]+%$/.test(lines[i + 1] ?? "")) value = lines[++i];
+    block[match[1].replace(/\s+/g, " ")] = parseIndianNumber(value);
+  }
+  return Object.keys(block).length ? block : null;
+}
+
+/**
+ * Whether a block's rate is rising or falling from the longest period to the latest one
+ * @param {object|null} block - parseGrowthBlock output
+ * @returns {object|null} - { trend, latestPeriod, latestVs3Years }; trend is "accelerating"
+ *   (every shorter period at or above the longer one), "decelerating", "steady" or "mixed"
+ */
+function getGrowthTrend(block) {
+  if (!block) return null;
+  const periods = Object.keys(block).filter(p => block[p] !== null);
+  if (periods.length < 2) return null;
+
+  const values = periods.map(p => block[p]);
+  const steps = values.slice(1).map((v, i) => v - values[i]);
+  const overall = values.at(-1) - values[0];
+  let trend = "mixed";
+  if (steps.every(d => Math.abs(d) <= TREND_TOLERANCE)) trend = "steady";
+  else if (steps.every(d => d >= -TREND_TOLERANCE) && overall > TREND_TOLERANCE) trend = "accelerating";
+  else if (steps.every(d => d <= TREND_TOLERANCE) && overall < -TREND_TOLERANCE) trend = "decelerating";
+
+  const latestPeriod = periods.at(-1);
+  const threeYears = block["3 Years"] ?? null;
+  return {
+    trend,
+    latestPeriod,
+    latestVs3Years: latestPeriod === "3 Years" || threeYears === null
+      ? null
+      : Math.round((block[latestPeriod] - threeYears) * 100) / 100
+  };
+}
+
+function extractGrowth(text, quarterlyResults, financials) {
   // Revenue/Sales Growth TTM: "Compounded Sales Growth\n...TTM:\n6%"
   let revenueGrowthYoY = extractString(text, /Compounded\s+Sales\s+Growth[\s\S]*?TTM[:\s]*([\d.]+%)/i);
   
@@ -193,10 +773,38 @@ function extractGrowth(text) {
     }
   }
 
+  // Latest full year's growth and CAGR from the parsed P&L table
+  const summary = financials?.summary;
+
+  // Latest quarter against the previous quarter and the same quarter last year
+  const latest = quarterlyResults?.latest;
+
+  // 10/5/3-year and latest figures of each compounded block, and their direction
+  const compounded = {};
+  const consistency = {};
+  for (const [key, heading] of Object.entries(GROWTH_BLOCKS)) {
+    compounded[key] = parseGrowthBlock(text, heading);
+    consistency[key] = getGrowthTrend(compounded[key]);
+  }
+
   return {
     revenueGrowthYoY: revenueGrowthYoY || "N/A",
     profitGrowthYoY: profitGrowthYoY || "N/A",
-    operatingMargin: operatingMargin || "N/A"
+    operatingMargin: operatingMargin || "N/A",
+    latestQuarter: latest?.period ?? null,
+    quarterRevenueQoQ: latest?.revenue?.qoq ?? null,
+    quarterRevenueYoY: latest?.revenue?.yoy ?? null,
+    quarterPbtQoQ: latest?.profitBeforeTax?.qoq ?? null,
+    quarterPbtYoY: latest?.profitBeforeTax?.yoy ?? null,
+    quarterProfitQoQ: latest?.netProfit?.qoq ?? null,
+    quarterProfitYoY: latest?.netProfit?.yoy ?? null,
+    latestYear: summary?.latestYear ?? null,
+    revenueGrowthLatestYear: summary?.revenueGrowthLatest ?? null,
+    profitGrowthLatestYear: summary?.profitGrowthLatest ?? null,
+    revenueCagr5y: summary?.revenueCagr["5 Years"] ?? null,
+    profitCagr5y: summary?.profitCagr["5 Years"] ?? null,
+    compounded,
+    consistency
   };
 }
 
@@ -328,23 +936,36 @@ export function parseScreenerText(rawText) {
   }
 
   const priceVolume = extractPriceVolume(rawText);
-  const valuation = extractValuation(rawText);
-  const financialStrength = extractFinancialStrength(rawText);
-  const growth = extractGrowth(rawText);
+  const financials = extractFinancialStatements(rawText);
+  const financialStrength = extractFinancialStrength(rawText, financials);
+  const peerComparison = extractPeerComparison(rawText, {
+    name: extractCompanyName(rawText),
+    cmp: priceVolume.cmp,
+    marketCapCr: parseIndianNumber(financialStrength.marketCap)
+  });
+  const valuation = extractValuation(rawText, peerComparison);
+  const classification = extractClassification(rawText);
+  const quarterlyResults = extractQuarterlyResults(rawText);
+  const growth = extractGrowth(rawText, quarterlyResults, financials);
   const shareholding = extractShareholding(rawText);
   const corporateSignals = extractCorporateSignals(rawText);
 
   return {
     priceVolume,
     valuation,
+    classification,
     financialStrength,
     growth,
     shareholding,
     corporateSignals,
+    quarterlyResults,
+    financials,
+    peerComparison,
+    listing: extractListing(rawText),
     _meta: {
       parsedAt: new Date().toISOString(),
       source: "screener.in",
-      dataPoints: countDataPoints({ priceVolume, valuation, financialStrength, growth, shareholding, corporateSignals })
+      dataPoints: countDataPoints({ priceVolume, valuation, classification, financialStrength, growth, shareholding, corporateSignals })
     }
   };
 }
@@ -364,7 +985,7 @@ function countDataPoints(data) {
         count(val);
       } else {
         total++;
-        if (val !== null && val !== "N/A") {
+        if (val !== null && val !== "N/A" && !(Array.isArray(val) && val.length === 0)) {
           extracted++;
         }
       }
@@ -388,24 +1009,56 @@ export function flattenParsedData(parsed) {
     "52-Week High / Low": parsed.priceVolume.week52HighLow || "N/A",
     "Volume (today)": parsed.priceVolume.volumeToday,
     "10-day average volume": parsed.priceVolume.avgVolume10d,
+    ...flattenEod(parsed.eod),
     
     // Valuation
     "P/E Ratio": parsed.valuation.peRatio,
     "Industry P/E": parsed.valuation.industryPE,
+    "Industry P/E (market-cap weighted)": parsed.valuation.industryPEWeighted ?? "N/A",
+    "Peer ranks": formatPeerRanks(parsed.peerComparison) ?? "N/A",
+    "P/E premium vs industry (%)": parsed.valuation.pePremiumPct ?? "N/A",
     "P/B Ratio": parsed.valuation.pbRatio,
     "Face Value": parsed.valuation.faceValue,
+    "Sector": parsed.classification.sector || "N/A",
+    "Industry": parsed.classification.basicIndustry || parsed.classification.industry || "N/A",
     
     // Financial Strength
     "Market Capitalization": parsed.financialStrength.marketCap,
     "Debt to Equity": parsed.financialStrength.debtToEquity,
+    "Debt to Equity basis": parsed.financialStrength.debtToEquityBasis ?? "N/A",
+    "Borrowings / Deposits": parsed.financialStrength.borrowingsToDeposits ?? "N/A",
+    "Assets / Equity": parsed.financialStrength.assetsToEquity ?? "N/A",
     "EPS (TTM)": parsed.financialStrength.epsTTM,
     "ROE (%)": parsed.financialStrength.roe,
     "ROCE (%)": parsed.financialStrength.roce,
+    "Operating cash flow (latest year, Cr)": parsed.financialStrength.operatingCashFlow ?? "N/A",
+    "Free cash flow (latest year, Cr)": parsed.financialStrength.freeCashFlow ?? "N/A",
+    "Operating + investing cash flow (latest year, Cr)": parsed.financialStrength.operatingPlusInvestingCashFlow ?? "N/A",
     
     // Growth & Profitability
     "Revenue growth (YoY)": parsed.growth.revenueGrowthYoY,
     "Net profit growth (YoY)": parsed.growth.profitGrowthYoY,
     "Operating margin": parsed.growth.operatingMargin,
+    "Latest quarter": parsed.growth.latestQuarter ?? "N/A",
+    "Quarterly revenue growth QoQ (%)": parsed.growth.quarterRevenueQoQ ?? "N/A",
+    "Quarterly revenue growth YoY (%)": parsed.growth.quarterRevenueYoY ?? "N/A",
+    "Quarterly PBT growth QoQ (%)": parsed.growth.quarterPbtQoQ ?? "N/A",
+    "Quarterly PBT growth YoY (%)": parsed.growth.quarterPbtYoY ?? "N/A",
+    "Quarterly net profit growth QoQ (%)": parsed.growth.quarterProfitQoQ ?? "N/A",
+    "Quarterly net profit growth YoY (%)": parsed.growth.quarterProfitYoY ?? "N/A",
+    "Latest financial year": parsed.growth.latestYear ?? "N/A",
+    "Revenue growth (latest year, %)": parsed.growth.revenueGrowthLatestYear ?? "N/A",
+    "Net profit growth (latest year, %)": parsed.growth.profitGrowthLatestYear ?? "N/A",
+    "Revenue CAGR 5Y (%)": parsed.growth.revenueCagr5y ?? "N/A",
+    "Net profit CAGR 5Y (%)": parsed.growth.profitCagr5y ?? "N/A",
+    "Compounded sales growth (%)": formatGrowthBlock(parsed.growth.compounded.sales) ?? "N/A",
+    "Sales growth trend": formatGrowthTrend(parsed.growth.consistency.sales) ?? "N/A",
+    "Compounded profit growth (%)": formatGrowthBlock(parsed.growth.compounded.profit) ?? "N/A",
+    "Profit growth trend": formatGrowthTrend(parsed.growth.consistency.profit) ?? "N/A",
+    "Stock price CAGR (%)": formatGrowthBlock(parsed.growth.compounded.stockPrice) ?? "N/A",
+    "Stock price CAGR trend": formatGrowthTrend(parsed.growth.consistency.stockPrice) ?? "N/A",
+    "Return on equity (%)": formatGrowthBlock(parsed.growth.compounded.returnOnEquity) ?? "N/A",
+    "Return on equity trend": formatGrowthTrend(parsed.growth.consistency.returnOnEquity) ?? "N/A",
     
     // Shareholding
     "Promoter holding (%)": parsed.shareholding.promoter,
@@ -421,3 +1074,59 @@ export function flattenParsedData(parsed) {
   };
 }
 
+/**
+ * "P/E 4/7, Mar Cap Rs.Cr. 1/7, ..." - the stock's rank in its peer table
+ * @param {object|null} peerComparison - From parseScreenerText
+ * @returns {string|null}
+ */
+function formatPeerRanks(peerComparison) {
+  if (!peerComparison?.stock) return null;
+  return peerComparison.columns
+    .filter(c => peerComparison.ranks[c.key])
+    .map(c => `${c.label} ${peerComparison.ranks[c.key].rank}/${peerComparison.ranks[c.key].of}`)
+    .join(", ");
+}
+
+/**
+ * "10Y 20, 5Y 21, 3Y 33, TTM 6" - a compounded block on one line
+ * @param {object|null} block - growth.compounded entry
+ * @returns {string|null}
+ */
+function formatGrowthBlock(block) {
+  if (!block) return null;
+  return Object.entries(block)
+    .map(([period, value]) => `${period.replace(/^(\d+) Years?$/, "$1Y")} ${value ?? "N/A"}`)
+    .join(", ");
+}
+
+/**
+ * "decelerating (TTM 27 pp below 3Y)"
+ * @param {object|null} consistency - growth.consistency entry
+ * @returns {string|null}
+ */
+function formatGrowthTrend(consistency) {
+  if (!consistency) return null;
+  const { trend, latestPeriod, latestVs3Years: diff } = consistency;
+  if (diff === null) return trend;
+  const versus = diff === 0 ? "level with" : `${Math.abs(diff)} pp ${diff > 0 ? "above" : "below"}`;
+  return `${trend} (${latestPeriod} ${versus} 3Y)`;
+}
+
+/**
+ * Volume and delivery from the local EOD store, when the caller attached it
+ * as parsed.eod (screenerCli does; the paste itself has no volume)
+ * @param {object|undefined} eod - summarizeEod output plus the symbol
+ * @returns {object} - Flattened fields, or none without EOD data
+ */
+function flattenEod(eod) {
+  if (!eod) return {};
+  return {
+    "EOD session": eod.date,
+    "EOD close": eod.close ?? "N/A",
+    "EOD volume": eod.volume ?? "N/A",
+    "EOD average volume (10D)": eod.avgVolume10d ?? "N/A",
+    "EOD volume vs prior 20D average (x)": eod.volumeVsAvg20d ?? "N/A",
+    "EOD delivery (%)": eod.deliveryPct ?? "N/A",
+    "EOD average delivery (10D, %)": eod.avgDeliveryPct10d ?? "N/A"
+  };
+}
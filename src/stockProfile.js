@@ -0,0 +1,393 @@
+// =============================================================================
+// Unified Stock Profile
+// Merges normalized NSE data and parsed Screener.in data into one profile in
+// the data-needed.md schema, recording which source supplied each field
+// =============================================================================
+
+import { parseIndianNumber } from "./screenerParser.js";
+
+// =============================================================================
+// Field Definitions
+// =============================================================================
+
+/**
+ * Which source wins for each kind of field. Override per kind, or per field
+ * key, with the precedence option of buildStockProfile.
+ *   live        - moves during the session (NSE is real-time, Screener is a paste)
+ *   fundamental - Screener reports consolidated numbers and ratios NSE lacks
+ *   event       - corporate actions and announcements as filed on NSE
+ */
+export const DEFAULT_PRECEDENCE = {
+  live: ["nse", "screener"],
+  fundamental: ["screener", "nse"],
+  event: ["nse", "screener"]
+};
+
+/**
+ * Default conflict tolerance: relative (fraction of the larger value) or
+ * absolute (same unit as the field, e.g. percentage points)
+ */
+export const DEFAULT_TOLERANCE = { relative: 0.01 };
+
+/**
+ * The data points of data-needed.md, in order.
+ * nse / screener pick the value from each source (null when not covered).
+ * nse gets { quote, tradeInfo, history, shareholding, corporateAction, announcementHeadline }
+ * (outputs of the nseData.js normalizers), screener gets parseScreenerText output.
+ */
+export const PROFILE_FIELDS = [
+  // Price & Volume
+  {
+    key: "cmp",
+    label: "Current Market Price (CMP)",
+    section: "Price & Volume",
+    kind: "live",
+    nse: n => n.quote?.cmp,
+    screener: s => s.priceVolume?.cmp
+  },
+  {
+    key: "dayHighLow",
+    label: "Day High / Low",
+    section: "Price & Volume",
+    kind: "live",
+    nse: n => toHighLow(n.quote?.dayHigh, n.quote?.dayLow),
+    // Screener's "High / Low" is the 52-week range, so it has no day range
+    screener: () => null
+  },
+  {
+    key: "week52HighLow",
+    label: "52-Week High / Low",
+    section: "Price & Volume",
+    kind: "live",
+    nse: n => toHighLow(n.quote?.week52High, n.quote?.week52Low),
+    screener: s => toHighLow(s.priceVolume?.week52High, s.priceVolume?.week52Low)
+  },
+  {
+    key: "volumeToday",
+    label: "Volume (today)",
+    section: "Price & Volume",
+    kind: "live",
+    nse: n => n.tradeInfo?.volume,
+    screener: s => s.priceVolume?.volumeToday
+  },
+  {
+    key: "avgVolume10d",
+    label: "10-day average volume",
+    section: "Price & Volume",
+    kind: "live",
+    nse: n => n.history?.avgVolume10d,
+    screener: s => s.priceVolume?.avgVolume10d
+  },
+
+  // Valuation Metrics
+  {
+    key: "peRatio",
+    label: "P/E Ratio",
+    section: "Valuation Metrics",
+    kind: "fundamental",
+    // NSE quotes standalone P/E, Screener usually consolidated
+    tolerance: { relative: 0.05 },
+    nse: n => n.quote?.peStandalone,
+    screener: s => s.valuation?.peRatio
+  },
+  {
+    key: "industryPE",
+    label: "Industry P/E",
+    section: "Valuation Metrics",
+    kind: "fundamental",
+    // NSE uses the sector index P/E, Screener the peer median: different baskets
+    tolerance: { relative: 0.25 },
+    nse: n => n.quote?.sectorPE,
+    screener: s => s.valuation?.industryPE
+  },
+  {
+    key: "pbRatio",
+    label: "P/B Ratio",
+    section: "Valuation Metrics",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.valuation?.pbRatio
+  },
+  {
+    key: "faceValue",
+    label: "Face Value",
+    section: "Valuation Metrics",
+    kind: "fundamental",
+    tolerance: { absolute: 0 },
+    nse: n => n.quote?.faceValue,
+    screener: s => s.valuation?.faceValue
+  },
+
+  // Financial Strength
+  {
+    key: "marketCapCr",
+    label: "Market Capitalization (Rs Cr)",
+    section: "Financial Strength",
+    kind: "live",
+    tolerance: { relative: 0.02 },
+    nse: n => (n.quote?.marketCap == null ? null : Math.round(n.quote.marketCap / 1e7)),
+    screener: s => parseIndianNumber(s.financialStrength?.marketCap)
+  },
+  {
+    key: "debtToEquity",
+    label: "Debt to Equity",
+    section: "Financial Strength",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.financialStrength?.debtToEquity
+  },
+  {
+    key: "epsTTM",
+    label: "EPS (TTM)",
+    section: "Financial Strength",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.financialStrength?.epsTTM
+  },
+  {
+    key: "roe",
+    label: "ROE (%)",
+    section: "Financial Strength",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.financialStrength?.roe
+  },
+  {
+    key: "roce",
+    label: "ROCE (%)",
+    section: "Financial Strength",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.financialStrength?.roce
+  },
+
+  // Growth & Profitability
+  {
+    key: "revenueGrowthYoY",
+    label: "Revenue growth (YoY)",
+    section: "Growth & Profitability",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.growth?.revenueGrowthYoY
+  },
+  {
+    key: "profitGrowthYoY",
+    label: "Net profit growth (YoY)",
+    section: "Growth & Profitability",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.growth?.profitGrowthYoY
+  },
+  {
+    key: "operatingMargin",
+    label: "Operating margin",
+    section: "Growth & Profitability",
+    kind: "fundamental",
+    nse: () => null,
+    screener: s => s.growth?.operatingMargin
+  },
+
+  // Shareholding Pattern (percentage points, so absolute tolerance)
+  {
+    key: "promoter",
+    label: "Promoter holding (%)",
+    section: "Shareholding Pattern",
+    kind: "fundamental",
+    tolerance: { absolute: 0.5 },
+    nse: n => n.shareholding?.promoter,
+    screener: s => s.shareholding?.promoter
+  },
+  {
+    key: "promoterChange",
+    label: "Promoter holding change",
+    section: "Shareholding Pattern",
+    kind: "fundamental",
+    tolerance: { absolute: 0.5 },
+    nse: n => n.shareholding?.change?.promoter,
+    screener: s => s.shareholding?.promoterChange
+  },
+  {
+    key: "fii",
+    label: "FII holding (%)",
+    section: "Shareholding Pattern",
+    kind: "fundamental",
+    tolerance: { absolute: 0.5 },
+    nse: n => n.shareholding?.fii,
+    screener: s => s.shareholding?.fii
+  },
+  {
+    key: "dii",
+    label: "DII holding (%)",
+    section: "Shareholding Pattern",
+    kind: "fundamental",
+    tolerance: { absolute: 0.5 },
+    nse: n => n.shareholding?.dii,
+    screener: s => s.shareholding?.dii
+  },
+  {
+    key: "public",
+    label: "Public holding (%)",
+    section: "Shareholding Pattern",
+    kind: "fundamental",
+    tolerance: { absolute: 0.5 },
+    nse: n => n.shareholding?.public,
+    screener: s => s.shareholding?.public
+  },
+
+  // Corporate Signals (text, so never flagged as conflicts)
+  {
+    key: "recentResultsDate",
+    label: "Recent results date",
+    section: "Corporate Signals",
+    kind: "event",
+    nse: () => null,
+    screener: s => s.corporateSignals?.upcomingResultDate
+  },
+  {
+    key: "recentCorporateAction",
+    label: "Recent corporate action",
+    section: "Corporate Signals",
+    kind: "event",
+    nse: n => (n.corporateAction ? `${n.corporateAction.subject} (ex ${n.corporateAction.exDate})` : null),
+    screener: s => s.corporateSignals?.recentCorporateAction
+  },
+  {
+    key: "recentAnnouncement",
+    label: "Recent announcement",
+    section: "Corporate Signals",
+    kind: "event",
+    nse: n => (n.announcementHeadline ? `Yes - ${n.announcementHeadline}` : null),
+    screener: s => formatScreenerAnnouncement(s.corporateSignals)
+  }
+];
+
+// =============================================================================
+// Profile Builder
+// =============================================================================
+
+/**
+ * Merge NSE and Screener data into one profile
+ * @param {object} sources
+ * @param {object} [sources.nse] - { quote, tradeInfo, history, shareholding, corporateAction,
+ *                                   announcementHeadline, fetchedAt } from the nseData.js normalizers
+ * @param {object} [sources.screener] - parseScreenerText output (parsedAt is taken from _meta)
+ * @param {object} [options]
+ * @param {object} [options.precedence] - Per kind or per field key: ["nse", "screener"] order
+ * @param {object} [options.tolerance] - Per field key: { relative } or { absolute }
+ * @returns {object} - { fields, conflicts, sources, generatedAt }
+ */
+export function buildStockProfile(sources, options = {}) {
+  const nse = sources.nse ?? null;
+  const screener = sources.screener ?? null;
+  const precedence = { ...DEFAULT_PRECEDENCE, ...options.precedence };
+
+  const asOf = {
+    nse: nse?.fetchedAt ?? null,
+    screener: screener?._meta?.parsedAt ?? null
+  };
+
+  const fields = [];
+  const conflicts = [];
+
+  for (const def of PROFILE_FIELDS) {
+    const values = {
+      nse: nse ? clean(def.nse(nse)) : null,
+      screener: screener ? clean(def.screener(screener)) : null
+    };
+
+    const order = precedence[def.key] ?? precedence[def.kind];
+    const source = order.find(name => values[name] !== null) ?? null;
+
+    const tolerance = options.tolerance?.[def.key] ?? def.tolerance ?? DEFAULT_TOLERANCE;
+    const conflict = findConflict(values.nse, values.screener, tolerance);
+
+    const field = {
+      key: def.key,
+      label: def.label,
+      section: def.section,
+      value: source ? values[source] : null,
+      source,
+      asOf: source ? asOf[source] : null,
+      values,
+      conflict
+    };
+    fields.push(field);
+    if (conflict) conflicts.push({ key: def.key, label: def.label, ...values, ...conflict });
+  }
+
+  return {
+    fields,
+    conflicts,
+    sources: asOf,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Profile as flat label -> value pairs (same shape as flattenParsedData)
+ * @param {object} profile - Output from buildStockProfile
+ * @returns {object}
+ */
+export function flattenProfile(profile) {
+  return Object.fromEntries(profile.fields.map(f => [f.label, f.value ?? "N/A"]));
+}
+
+// =============================================================================
+// Helper Functions
+// =============================================================================
+
+/**
+ * Compare two values; numbers and "high / low" pairs are checked against the
+ * tolerance, anything else is never a conflict
+ * @returns {object|null} - { difference, tolerance } or null when within tolerance
+ */
+function findConflict(a, b, tolerance) {
+  const left = toNumbers(a);
+  const right = toNumbers(b);
+  if (!left || !right || left.length !== right.length) return null;
+
+  let worst = null;
+  left.forEach((x, i) => {
+    const y = right[i];
+    const absolute = Math.abs(x - y);
+    const base = Math.max(Math.abs(x), Math.abs(y));
+    const relative = base === 0 ? 0 : absolute / base;
+    const exceeds = tolerance.absolute !== undefined
+      ? absolute > tolerance.absolute
+      : relative > tolerance.relative;
+
+    if (exceeds && (!worst || relative > worst.relative)) {
+      worst = { absolute: round4(absolute), relative: round4(relative) };
+    }
+  });
+
+  return worst ? { difference: worst, tolerance } : null;
+}
+
+// Number -> [n], "high / low" -> [high, low], anything else -> null
+function toNumbers(value) {
+  if (typeof value === "number") return [value];
+  if (typeof value !== "string" || !value.includes(" / ")) return null;
+  const parts = value.split(" / ").map(parseIndianNumber);
+  return parts.every(p => p !== null) ? parts : null;
+}
+
+function toHighLow(high, low) {
+  return high == null || low == null ? null : `${high} / ${low}`;
+}
+
+// Screener's "N/A" placeholder counts as missing
+function clean(value) {
+  if (value === undefined || value === null || value === "N/A") return null;
+  if (typeof value === "number" && Number.isNaN(value)) return null;
+  return value;
+}
+
+function formatScreenerAnnouncement(signals) {
+  if (signals?.recentAnnouncement !== "Yes") return null;
+  return signals.announcementHeadline ? `Yes - ${signals.announcementHeadline}` : "Yes";
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
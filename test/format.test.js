@@ -0,0 +1,40 @@
+// =============================================================================
+// Report Renderer Tests
+// Run with: npm test
+// =============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addFieldsSection, addRowsSection, createReport, renderReport } from "../src/format.js";
+
+// A corporate-actions style section whose rows carry their own "type" column,
+// and a fields section with keys named type and section
+function buildReport() {
+  const report = createReport("quote", "HDFCBANK");
+  addFieldsSection(report, "meta", "Meta", [
+    ["type", "Type", "equity"],
+    ["section", "Section", "banks"]
+  ]);
+  addRowsSection(report, "actions", "Corporate Actions", [
+    { key: "date", label: "Date" },
+    { key: "type", label: "Type" }
+  ], [
+    { date: "2025-08-27", type: "bonus" },
+    { date: "2025-06-27", type: "dividend" }
+  ]);
+  return report;
+}
+
+test("ndjson keeps the envelope when a row has a type column", () => {
+  const lines = renderReport(buildReport(), "ndjson").split("\n").map(line => JSON.parse(line));
+
+  assert.deepEqual(lines.map(l => l.type), ["report", "section", "row", "row"]);
+  assert.deepEqual(lines[2], { type: "row", section: "actions", data: { date: "2025-08-27", type: "bonus" } });
+  assert.deepEqual(lines[3].data, { date: "2025-06-27", type: "dividend" });
+});
+
+test("ndjson puts section values under fields", () => {
+  const [, section] = renderReport(buildReport(), "ndjson").split("\n").map(line => JSON.parse(line));
+
+  assert.deepEqual(section, { type: "section", section: "meta", fields: { type: "equity", section: "banks" } });
+});
@@ -0,0 +1,25 @@
+// =============================================================================
+// NSE Data Helper Tests
+// Run with: npm test
+// =============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterAnnouncements, normalizeAnnouncements } from "../nseData.js";
+
+// Filed at 02:00 IST on 17-Oct, which is still 16-Oct in UTC
+const EARLY_FILING = normalizeAnnouncements([
+  { seq_id: "1", desc: "Credit Rating", sort_date: "2025-10-17 02:00:00", attchmntText: "Rating reaffirmed" }
+]);
+
+test("announcement date filters use IST days", () => {
+  assert.equal(filterAnnouncements(EARLY_FILING, { from: "2025-10-17" }).length, 1);
+  assert.equal(filterAnnouncements(EARLY_FILING, { to: "2025-10-17" }).length, 1);
+  assert.equal(filterAnnouncements(EARLY_FILING, { to: "2025-10-16" }).length, 0);
+  assert.equal(filterAnnouncements(EARLY_FILING, { from: "2025-10-18" }).length, 0);
+});
+
+test("announcement date filters reject days and months out of range", () => {
+  assert.throws(() => filterAnnouncements(EARLY_FILING, { from: "2025-13-01" }), /Invalid date/);
+  assert.throws(() => filterAnnouncements(EARLY_FILING, { to: "2025-02-30" }), /Invalid date/);
+});
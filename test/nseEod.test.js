@@ -0,0 +1,104 @@
+// =============================================================================
+// EOD Store Tests
+// Parses the sample files in test/fixtures/eod, one per format NSE publishes
+// Run with: npm test
+// =============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { importEodFile, loadEodHistory, parseEodFile } from "../nseEod.js";
+
+const FIXTURES = "test/fixtures/eod";
+
+function parseFixture(name) {
+  return parseEodFile(readFileSync(join(FIXTURES, name), "utf-8"));
+}
+
+test("UDiFF bhavcopy, with a quoted name holding a comma", () => {
+  const parsed = parseFixture("BhavCopy_NSE_CM_0_0_0_20251017_F_0000.csv");
+
+  assert.equal(parsed.kind, "udiff");
+  assert.equal(parsed.date, "2025-10-17");
+  // The G-sec row is dropped
+  assert.deepEqual(parsed.records.map(r => r.symbol), ["HDFCBANK", "M&M"]);
+  assert.equal(parsed.records[0].close, 936.65);
+  assert.equal(parsed.records[0].isin, "INE040A01034");
+
+  // "MAHINDRA & MAHINDRA, LTD" does not shift the price columns
+  const mm = parsed.records[1];
+  assert.equal(mm.open, 3460);
+  assert.equal(mm.close, 3480.2);
+  assert.equal(mm.prevClose, 3455.4);
+  assert.equal(mm.volume, 1234567);
+});
+
+test("old-style cm bhavcopy", () => {
+  const parsed = parseFixture("cm17OCT2025bhav.csv");
+
+  assert.equal(parsed.kind, "bhavcopy");
+  assert.equal(parsed.date, "2025-10-17");
+  assert.deepEqual(parsed.records[1], {
+    date: "2025-10-17",
+    symbol: "SBIN",
+    series: "EQ",
+    open: 872,
+    high: 878.5,
+    low: 868.1,
+    close: 875.35,
+    lastPrice: 875.4,
+    prevClose: 870.1,
+    volume: 8123456,
+    turnover: 7109876543.2,
+    trades: 187654,
+    isin: "INE062A01020"
+  });
+});
+
+test("full bhavcopy with delivery", () => {
+  const parsed = parseFixture("sec_bhavdata_full_17102025.csv");
+
+  assert.equal(parsed.kind, "full");
+  assert.equal(parsed.date, "2025-10-17");
+  const hdfc = parsed.records[0];
+  assert.equal(hdfc.close, 936.65);
+  assert.equal(hdfc.volume, 9876543);
+  // 92,461.23 lakhs
+  assert.equal(hdfc.turnover, 9246123000);
+  assert.equal(hdfc.deliveryQty, 5432109);
+  assert.equal(hdfc.deliveryPct, 55);
+});
+
+test("MTO delivery report", () => {
+  const parsed = parseFixture("MTO_17102025.DAT");
+
+  assert.equal(parsed.kind, "delivery");
+  assert.equal(parsed.date, "2025-10-17");
+  assert.deepEqual(parsed.records, [
+    { symbol: "HDFCBANK", series: "EQ", volume: 9876543, deliveryQty: 5432109, deliveryPct: 55 },
+    { symbol: "SBIN", series: "EQ", volume: 8123456, deliveryQty: 4061728, deliveryPct: 50 }
+  ]);
+});
+
+test("an unknown file is not parsed", () => {
+  assert.equal(parseEodFile("Date,Open,Close\n2025-10-17,1,2"), null);
+});
+
+test("a zipped bhavcopy imports, and the delivery report merges into the same day", () => {
+  const dir = mkdtempSync(join(tmpdir(), "nse-eod-test-"));
+  try {
+    const [zipped] = importEodFile(join(FIXTURES, "cm17OCT2025bhav.csv.zip"), { dir });
+    assert.deepEqual(zipped, { file: "cm17OCT2025bhav.csv.zip:cm17OCT2025bhav.csv", kind: "bhavcopy", date: "2025-10-17", symbols: 2 });
+    importEodFile(join(FIXTURES, "MTO_17102025.DAT"), { dir });
+
+    const [row] = loadEodHistory(["SBIN"], { dir }).get("SBIN");
+    assert.equal(row.date, "2025-10-17");
+    assert.equal(row.close, 875.35);
+    assert.equal(row.deliveryQty, 4061728);
+    assert.equal(row.deliveryPct, 50);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
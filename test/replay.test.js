@@ -0,0 +1,246 @@
+// =============================================================================
+// Cassette Replay Tests
+// Runs the fetchers against fixtures/cassettes with replay on, so nothing goes
+// to NSE or BSE, and checks what each normalizer makes of the responses
+// Run with: npm test
+// =============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { configureCassettes } from "../nseClient.js";
+import {
+  fetchAllIndices,
+  fetchAnnouncements,
+  fetchCorporateActions,
+  fetchHistorical,
+  fetchIndexConstituents,
+  fetchOptionChain,
+  fetchQuoteEquity,
+  fetchQuoteEquitySection,
+  fetchShareholdingBestEffort,
+  fetchSymbolSearch,
+  normalizeAnnouncements,
+  normalizeAnnouncementsHeadline,
+  normalizeCorporateActions,
+  normalizeCorporateActionsLatest,
+  normalizeEquityMaster,
+  normalizeHistorical,
+  normalizeIndexConstituents,
+  normalizeIndexQuote,
+  normalizeOptionChain,
+  normalizeQuoteMetrics,
+  normalizeSectorInfo,
+  normalizeShareholding,
+  normalizeSymbolSearch,
+  normalizeTradeInfoMetrics,
+  summarizeOptionChain
+} from "../nseData.js";
+import {
+  fetchBseAnnouncements,
+  fetchBseCorporateActions,
+  fetchBseQuote,
+  normalizeBseAnnouncements,
+  normalizeBseAnnouncementsHeadline,
+  normalizeBseCorporateActions,
+  normalizeBseCorporateActionsLatest,
+  normalizeBseQuote
+} from "../bseData.js";
+
+configureCassettes({ mode: "replay", dir: "fixtures/cassettes" });
+
+const BSE_RANGE = { from: "2025-07-20", to: "2025-10-18" };
+
+// =============================================================================
+// NSE
+// =============================================================================
+
+test("normalizeQuoteMetrics", async () => {
+  const quote = normalizeQuoteMetrics(await fetchQuoteEquity("HDFCBANK"));
+  assert.equal(quote.cmp, 936.65);
+  assert.equal(quote.dayHigh, 941.2);
+  assert.equal(quote.dayLow, 931.1);
+  assert.equal(quote.week52High, 1020.5);
+  assert.equal(quote.week52Low, 812.15);
+  assert.equal(quote.peStandalone, 20.26);
+  assert.equal(quote.faceValue, 1);
+});
+
+test("normalizeSectorInfo", async () => {
+  const sector = normalizeSectorInfo(await fetchQuoteEquity("HDFCBANK"));
+  assert.equal(sector.macroSector, "Financial Services");
+  assert.equal(sector.industry, "Banks");
+  assert.equal(sector.basicIndustry, "Private Sector Bank");
+  assert.equal(sector.sectorIndex, "NIFTY BANK");
+  assert.equal(sector.sectorPE, 19.45);
+  assert.equal(sector.pePremiumPct, 4.16);
+  assert.deepEqual(sector.indices, ["NIFTY 50", "NIFTY BANK", "NIFTY FINANCIAL SERVICES", "NIFTY 100"]);
+});
+
+test("normalizeTradeInfoMetrics", async () => {
+  const trade = normalizeTradeInfoMetrics(await fetchQuoteEquitySection("HDFCBANK", "trade_info"));
+  assert.equal(trade.volume, 9876543);
+  assert.equal(trade.deliverablePct, 55);
+});
+
+test("normalizeHistorical", async () => {
+  const rows = normalizeHistorical(await fetchHistorical("HDFCBANK", "2025-10-13", "2025-10-17"));
+  assert.deepEqual(rows.map(r => r.date), ["2025-10-13", "2025-10-14", "2025-10-15", "2025-10-16", "2025-10-17"]);
+  assert.equal(rows.at(-1).close, 936.65);
+  assert.equal(rows.at(-1).volume, 9876543);
+  assert.equal(rows.at(-1).deliveryQty, 5432109);
+});
+
+test("normalizeSymbolSearch keeps equities only", async () => {
+  const results = normalizeSymbolSearch(await fetchSymbolSearch("hdfc bank"));
+  assert.deepEqual(results.map(r => r.symbol), ["HDFCBANK", "HDFCNIFBAN"]);
+  assert.equal(results[0].name, "HDFC Bank Limited");
+  assert.deepEqual(results[0].series, ["EQ"]);
+});
+
+test("normalizeEquityMaster", () => {
+  const rows = normalizeEquityMaster(readFileSync("test/fixtures/EQUITY_L.csv", "utf8"));
+  assert.deepEqual(rows.map(r => r.symbol), ["20MICRONS", "HDFCBANK", "INFY", "MM"]);
+
+  const hdfc = rows[1];
+  assert.equal(hdfc.name, "HDFC Bank Limited");
+  assert.deepEqual(hdfc.series, ["EQ"]);
+  assert.equal(hdfc.isin, "INE040A01034");
+  assert.equal(hdfc.listingDate.toISOString().slice(0, 10), "1995-11-08");
+  assert.equal(hdfc.faceValue, 1);
+  // Quoted name with an ampersand
+  assert.equal(rows[3].name, "Mahindra & Mahindra Limited");
+});
+
+test("normalizeIndexQuote", async () => {
+  const allIndices = await fetchAllIndices();
+  const constituents = await fetchIndexConstituents("NIFTY BANK");
+
+  const index = normalizeIndexQuote(allIndices, "NIFTY BANK", constituents);
+  assert.equal(index.last, 57713.35);
+  assert.equal(index.changePct, 0.51);
+  assert.equal(index.advances, 9);
+  assert.equal(index.declines, 3);
+  assert.equal(index.pe, 15.86);
+  assert.equal(index.pb, 2.21);
+
+  // Without allIndices, level and breadth come from the constituents response
+  const fromConstituents = normalizeIndexQuote(null, "NIFTY BANK", constituents);
+  assert.equal(fromConstituents.last, 57713.35);
+  assert.equal(fromConstituents.advances, 9);
+  assert.equal(fromConstituents.pe, null);
+
+  assert.equal(normalizeIndexQuote(allIndices, "NIFTY IT"), null);
+});
+
+test("normalizeIndexConstituents drops the index's own row", async () => {
+  const rows = normalizeIndexConstituents(await fetchIndexConstituents("NIFTY BANK"));
+  assert.deepEqual(rows.map(r => r.symbol), ["HDFCBANK", "ICICIBANK", "AXISBANK"]);
+  assert.equal(rows[0].cmp, 936.65);
+  assert.equal(rows[0].dayChangePct, -0.22);
+  assert.equal(rows[0].volume, 9876543);
+});
+
+test("normalizeCorporateActions", async () => {
+  const events = normalizeCorporateActions(await fetchCorporateActions("HDFCBANK"));
+  assert.deepEqual(events.map(e => e.type), ["bonus", "dividend", "dividend"]);
+  assert.deepEqual(events[0].ratio, { offered: 1, held: 1 });
+  assert.equal(events[1].dividendKind, "special");
+  assert.equal(events[1].amount, 5);
+  assert.equal(events[2].amount, 22);
+});
+
+test("normalizeCorporateActionsLatest", async () => {
+  const latest = normalizeCorporateActionsLatest(await fetchCorporateActions("HDFCBANK"));
+  assert.equal(latest.subject, "Bonus 1:1");
+  assert.equal(latest.exDate, "26-Aug-2025");
+});
+
+test("normalizeShareholding", async () => {
+  const { quarters, latest } = normalizeShareholding(await fetchShareholdingBestEffort("HDFCBANK"));
+  assert.deepEqual(quarters.map(q => q.quarter), ["Jun 2025", "Sep 2025"]);
+  // HDFC Bank has had no promoter group since the HDFC Ltd merger
+  assert.equal(latest.promoter, 0);
+  assert.equal(latest.public, 100);
+  assert.equal(latest.change.public, 0);
+  assert.equal(quarters[0].change.public, null);
+
+  // share-holdings-master has no FII / DII split or pledge figure, so those are left out
+  const { categories } = normalizeShareholding(await fetchShareholdingBestEffort("HDFCBANK"));
+  assert.deepEqual(categories, ["promoter", "public"]);
+  assert.equal("fii" in latest, false);
+  assert.deepEqual(Object.keys(latest.change), ["promoter", "public"]);
+});
+
+test("normalizeAnnouncements", async () => {
+  const list = normalizeAnnouncements(await fetchAnnouncements("HDFCBANK"));
+  assert.deepEqual(list.map(a => a.id), ["106512345", "106498765"]);
+  // 16:45:12 IST
+  assert.equal(list[0].date.toISOString(), "2025-10-18T11:15:12.000Z");
+  assert.equal(list[0].category, "Outcome of Board Meeting");
+  assert.equal(list[0].attachmentUrl, "https://nsearchives.nseindia.com/corporate/HDFCBANK_18102025164512_Outcome.pdf");
+  assert.equal(list[0].company, "HDFC Bank Limited");
+});
+
+test("normalizeAnnouncementsHeadline", async () => {
+  assert.equal(normalizeAnnouncementsHeadline(await fetchAnnouncements("HDFCBANK")), "Outcome of Board Meeting");
+});
+
+test("normalizeOptionChain and summarizeOptionChain", async () => {
+  const chain = normalizeOptionChain(await fetchOptionChain("HDFCBANK"));
+  assert.deepEqual(chain.expiries, ["2025-10-28", "2025-11-25"]);
+  assert.equal(chain.underlyingValue, 936.65);
+
+  const summary = summarizeOptionChain(chain);
+  assert.equal(summary.expiry, "2025-10-28");
+  assert.equal(summary.atmStrike, 940);
+});
+
+// =============================================================================
+// BSE
+// =============================================================================
+
+test("normalizeBseQuote combines its three cassettes", async () => {
+  const quote = normalizeBseQuote(await fetchBseQuote("500180"));
+  assert.equal(quote.cmp, 936.6);
+  assert.equal(quote.dayChangePct, -0.22);
+  assert.equal(quote.week52High, 1020.35);
+  assert.equal(quote.marketCap, 144145.7 * 1e7);
+  assert.equal(quote.basicIndustry, "Private Sector Bank");
+});
+
+test("normalizeBseCorporateActions", async () => {
+  const events = normalizeBseCorporateActions(await fetchBseCorporateActions("500180"));
+  assert.deepEqual(events.map(e => e.type), ["bonus", "dividend"]);
+  // BSE's "Rs. - 5.0000" is read as Rs 5
+  assert.equal(events[1].amount, 5);
+  assert.equal(events[1].exDate.toISOString().slice(0, 10), "2025-07-25");
+});
+
+test("normalizeBseCorporateActionsLatest", async () => {
+  const latest = normalizeBseCorporateActionsLatest(await fetchBseCorporateActions("500180"));
+  assert.equal(latest.subject, "Bonus issue 1:1");
+  assert.equal(latest.exDate, "26 Aug 2025");
+});
+
+test("normalizeBseAnnouncements", async () => {
+  const [latest] = normalizeBseAnnouncements(await fetchBseAnnouncements("500180", BSE_RANGE));
+  // 16:47:03 IST
+  assert.equal(latest.date.toISOString(), "2025-10-18T11:17:03.000Z");
+  assert.equal(latest.category, "Outcome of Board Meeting");
+  assert.equal(latest.attachmentUrl, "https://www.bseindia.com/xml-data/corpfiling/AttachLive/9c2a7e51-3b0f-4c1e-9a55-1f0c6d2b7e10.pdf");
+});
+
+test("normalizeBseAnnouncementsHeadline", async () => {
+  const headline = normalizeBseAnnouncementsHeadline(await fetchBseAnnouncements("500180", BSE_RANGE));
+  assert.equal(headline, "Outcome of Board Meeting");
+});
+
+test("BSE announcement dates out of range are rejected, not rolled over", async () => {
+  await assert.rejects(fetchBseAnnouncements("500180", { from: "2025-13-01", to: "2025-10-18" }), /Invalid date/);
+  await assert.rejects(fetchBseAnnouncements("500180", { from: "2025-07-20", to: "2025-09-31" }), /Invalid date/);
+});
+
+test("a request with no cassette fails instead of going to NSE", async () => {
+  await assert.rejects(fetchQuoteEquity("NOSUCHSYMBOL"), { status: "NO_CASSETTE" });
+});
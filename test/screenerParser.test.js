@@ -0,0 +1,137 @@
+// =============================================================================
+// Screener Parser Tests
+// Run with: npm test
+// =============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { parseScreenerText } from "../src/screenerParser.js";
+
+const PEER_HEADER = "S.No.\tName\tCMP Rs.\tP/E\tMar Cap Rs.Cr.\tDiv Yld %\tNP Qtr Rs.Cr.\tQtr Profit Var %\tSales Qtr Rs.Cr.\tQtr Sales Var %\tROCE %";
+
+// The stock trades at 100x, far above its three peers (10x, 20x, 30x)
+const PEER_PASTE = [
+  "Acme Industries Ltd",
+  "Peer comparison",
+  PEER_HEADER,
+  "1.\tAcme Industries\t50.00\t100.00\t1000.00\t0.50\t10.00\t5.00\t100.00\t4.00\t12.00",
+  "2.\tBeta Corp\t10.00\t10.00\t500.00\t1.00\t50.00\t2.00\t400.00\t3.00\t15.00",
+  "3.\tGamma Ltd\t20.00\t20.00\t400.00\t1.50\t20.00\t-1.00\t300.00\t1.00\t10.00",
+  "4.\tDelta Inc\t30.00\t30.00\t300.00\t2.00\t10.00\t8.00\t200.00\t6.00\t9.00",
+  "Median: 4 Co.\t25.00\t25.00\t450.00\t1.25\t15.00\t3.50\t250.00\t3.50\t11.00"
+].join("\n");
+
+test("industry P/E leaves the stock's own peer row out", () => {
+  const { peerComparison, valuation } = parseScreenerText(PEER_PASTE);
+
+  assert.equal(peerComparison.stock, "Acme Industries");
+  // With the stock's 100x included the median would be 25
+  assert.equal(peerComparison.industryPE.median, 20);
+  assert.equal(peerComparison.industryPE.peers, 3);
+  // 1200 Cr of market cap on 80 Cr of earnings; 25.5 with the stock included
+  assert.equal(peerComparison.industryPE.marketCapWeighted, 15);
+  assert.equal(valuation.industryPE, 20);
+});
+
+test("the stock is still ranked among every peer row", () => {
+  const { peerComparison } = parseScreenerText(PEER_PASTE);
+
+  assert.deepEqual(peerComparison.ranks.pe, { value: 100, rank: 4, of: 4 });
+  assert.deepEqual(peerComparison.ranks.marketCap, { value: 1000, rank: 1, of: 4 });
+});
+
+// =============================================================================
+// Statements, leverage and growth from the sample HDFC Bank paste
+// =============================================================================
+
+const SAMPLE = parseScreenerText(readFileSync("screener-input.txt", "utf8"));
+
+test("latest quarter is compared with the previous quarter and a year earlier", () => {
+  const { latest } = SAMPLE.quarterlyResults;
+
+  assert.equal(latest.period, "Sep 2025");
+  // Revenue 76,691 vs 77,470 (Jun 2025) and 74,017 (Sep 2024)
+  assert.deepEqual(latest.revenue, { period: "Sep 2025", value: 76691, qoq: -1.01, yoy: 3.61 });
+  assert.deepEqual(latest.profitBeforeTax, { period: "Sep 2025", value: 24423, qoq: 14.71, yoy: 10.99 });
+  assert.deepEqual(latest.netProfit, { period: "Sep 2025", value: 18641, qoq: 2.68, yoy: 10.82 });
+});
+
+test("annual growth and CAGR come from the fiscal-year columns, not TTM", () => {
+  const { summary } = SAMPLE.financials;
+
+  assert.equal(summary.latestYear, "Mar 2025");
+  // Revenue 3,00,517 vs 2,58,341
+  assert.equal(summary.revenueGrowthLatest, 16.33);
+  assert.equal(summary.profitGrowthLatest, 10.75);
+  // TTM 3,07,628 against Mar 2025
+  assert.equal(summary.ttmVsLatestYear.revenue, 2.37);
+  assert.deepEqual(summary.revenueCagr, { "3 Years": 32.99, "5 Years": 21.22, "10 Years": 20.02 });
+  assert.deepEqual(summary.profitCagr, { "3 Years": 22.14, "5 Years": 20.73, "10 Years": 20.75 });
+});
+
+test("without capex rows only operating + investing cash flow is given", () => {
+  const { summary } = SAMPLE.financials;
+
+  // 1,45,177 - 1,845
+  assert.equal(summary.operatingPlusInvestingLatest, 143332);
+  assert.equal(summary.operatingPlusInvestingCashFlow["Mar 2024"], 47619);
+  assert.equal(summary.positiveOperatingPlusInvestingYears, 7);
+  assert.equal(summary.operatingPlusInvestingYears, 12);
+  assert.deepEqual(summary.freeCashFlow, {});
+  assert.equal(summary.freeCashFlowLatest, null);
+  assert.equal(SAMPLE.financialStrength.freeCashFlow, null);
+});
+
+test("free cash flow is operating cash flow less net capex", () => {
+  const paste = [
+    "Cash Flows",
+    "\tMar 2023\tMar 2024\tMar 2025",
+    "Cash from Operating Activity +\t100\t120\t150",
+    "Cash from Investing Activity +\t-300\t-80\t-90",
+    "Fixed assets purchased\t-40\t-60\t-200",
+    "Fixed assets sold\t5\t\t10",
+    "Investments purchased\t-265\t-20\t100"
+  ].join("\n");
+  const { summary } = parseScreenerText(paste).financials;
+
+  // A blank "sold" cell counts as none; the acquisition in Mar 2023 does not reduce FCF
+  assert.deepEqual(summary.freeCashFlow, { "Mar 2023": 65, "Mar 2024": 60, "Mar 2025": -40 });
+  assert.equal(summary.freeCashFlowLatest, -40);
+  assert.equal(summary.positiveFreeCashFlowYears, 2);
+  assert.deepEqual(summary.operatingPlusInvestingCashFlow, { "Mar 2023": -200, "Mar 2024": 40, "Mar 2025": 60 });
+});
+
+test("bank leverage uses borrowings against equity, deposits and assets", () => {
+  const { leverage } = SAMPLE.financials;
+
+  assert.equal(leverage.bank, true);
+  assert.equal(leverage.basis.debtToEquity, "Borrowing / (Equity Capital + Reserves)");
+  // Sep 2025: 5,09,597 / (1,536 + 5,16,689)
+  assert.deepEqual(leverage.latest, { period: "Sep 2025", debtToEquity: 0.98, borrowingsToDeposits: 0.18, assetsToEquity: 7.72 });
+  assert.equal(SAMPLE.financialStrength.debtToEquity, 0.98);
+});
+
+test("compounded growth blocks and their trend", () => {
+  const { compounded, consistency } = SAMPLE.growth;
+
+  assert.deepEqual(compounded.sales, { "10 Years": 20, "5 Years": 21, "3 Years": 33, "TTM": 6 });
+  assert.deepEqual(compounded.profit, { "10 Years": 21, "5 Years": 21, "3 Years": 22, "TTM": 8 });
+  assert.deepEqual(compounded.stockPrice, { "10 Years": 14, "5 Years": 5, "3 Years": 5, "1 Year": 13 });
+  assert.deepEqual(compounded.returnOnEquity, { "10 Years": 16, "5 Years": 16, "3 Years": 16, "Last Year": 14 });
+
+  assert.deepEqual(consistency.sales, { trend: "mixed", latestPeriod: "TTM", latestVs3Years: -27 });
+  assert.deepEqual(consistency.profit, { trend: "decelerating", latestPeriod: "TTM", latestVs3Years: -14 });
+  assert.deepEqual(consistency.returnOnEquity, { trend: "decelerating", latestPeriod: "Last Year", latestVs3Years: -2 });
+});
+
+test("growth trend within the tolerance is steady, rising is accelerating", () => {
+  const steady = ["Compounded Sales Growth", "10 Years:\t12%", "5 Years:\t12%", "3 Years:\t13%", "TTM:\t12%"];
+  const rising = ["Compounded Profit Growth", "10 Years:\t8%", "5 Years:\t10%", "3 Years:\t10%", "TTM:", "15%"];
+  const { compounded, consistency } = parseScreenerText([...steady, "", ...rising].join("\n")).growth;
+
+  assert.equal(consistency.sales.trend, "steady");
+  // "TTM:" with the value on the next line
+  assert.equal(compounded.profit.TTM, 15);
+  assert.deepEqual(consistency.profit, { trend: "accelerating", latestPeriod: "TTM", latestVs3Years: 5 });
+});